@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+
+const path = require("path");
+const { parseArgs } = require("util");
+const PageSpeedMonitor = require("./run");
+const IndexGenerator = require("./generate-index");
+const { loadConfig } = require("./lib/config");
+const { parsePair, parseHostRewrite } = require("./lib/pairs");
+const { parseSampleRule } = require("./lib/discovery");
+const { ReplayRunner } = require("./lib/replay-runner");
+const { DashboardServer, DEFAULT_PORT } = require("./lib/server");
+const { resolveProjects } = require("./lib/projects");
+
+const USAGE = `Usage: node scripts/cli.js [command] [options]
+
+Commands:
+  run        Measure URLs, compare against the baseline, write reports (default)
+  baseline   Measure URLs and store the results as the new baseline
+  promote    Make the stored latest results the new baseline, no measuring
+  rollback   Restore the previous baseline
+  report     Rebuild reports/ and docs/ from stored results, no measuring
+  index      Build the GitHub Pages dashboard in docs/
+  compare    Print stored latest results against the baseline and check budgets
+  ab         Measure URL pairs side by side, e.g. staging against production
+  discover   Add URLs from a sitemap to urls.json
+  serve      Host docs/ with a JSON API and queue runs on demand
+
+Options:
+  --url <url>           Only this URL; repeatable (--url a --url b or --url=a)
+  --group <name>        Only URLs whose group or tags include <name>
+  --runs <n>            Lighthouse runs per URL and profile
+  --profile <names>     Comma-separated device profiles, e.g. mobile,desktop
+  --aggregation <name>  median, mean or trimmed
+  --run-delay <ms>      Pause between runs of the same URL
+  --timeout <ms>        Give up on a Lighthouse run after this long
+  --retries <n>         Retries of a failed run, with backoff
+  --config <file>       Config file (default: pagespeed.config.json)
+  --project <names>     Comma-separated projects from the config file
+                        (default: all)
+  --output-dir <dir>    Where baseline/, latest/, history/, reports/ and docs/ live
+  --reason <text>       baseline, promote: why the baseline changes
+  --pair <a>,<b>        ab: compare these two URLs; repeatable
+  --rewrite-host <h>=<h2>
+                        ab: pair every urls.json URL on host h with host h2
+  --reporter <names>    Comma-separated report formats: html, markdown, junit,
+                        csv, json or a custom reporter (default: html)
+  --replay <dir>        run, baseline, ab: replay recorded Lighthouse results
+                        (e.g. runs/) instead of running Lighthouse
+  --port <n>            serve: port to listen on (default: ${DEFAULT_PORT})
+  --host <address>      serve: address to listen on (default: 127.0.0.1)
+  --archive             Keep the full Lighthouse report of every run in runs/
+  --third-party         Also measure with each third-party group blocked
+  --sitemap <url>       discover: sitemap or sitemap index to read; repeatable
+  --include <pattern>   discover: only URLs matching a glob or re:<regex>
+  --exclude <pattern>   discover: skip URLs matching a glob or re:<regex>
+  --sample <pattern>=<n>
+                        discover: keep n URLs matching the pattern
+  --replace             discover: drop urls.json entries not in the sitemap
+  --dry-run             Show what would be measured or written, change nothing
+  --no-notify           Skip notifications for this run
+  -h, --help            Show this help
+
+Exit codes: 0 success, 1 error, 2 budget failure`;
+
+const COMMANDS = [
+  "run",
+  "baseline",
+  "promote",
+  "rollback",
+  "report",
+  "index",
+  "compare",
+  "ab",
+  "discover",
+  "serve",
+];
+
+const OPTIONS = {
+  url: { type: "string", multiple: true },
+  group: { type: "string" },
+  runs: { type: "string" },
+  profile: { type: "string" },
+  aggregation: { type: "string" },
+  "run-delay": { type: "string" },
+  timeout: { type: "string" },
+  retries: { type: "string" },
+  config: { type: "string" },
+  project: { type: "string" },
+  "output-dir": { type: "string" },
+  reason: { type: "string" },
+  pair: { type: "string", multiple: true },
+  "rewrite-host": { type: "string" },
+  sitemap: { type: "string", multiple: true },
+  include: { type: "string", multiple: true },
+  exclude: { type: "string", multiple: true },
+  sample: { type: "string", multiple: true },
+  replace: { type: "boolean" },
+  reporter: { type: "string" },
+  archive: { type: "boolean" },
+  "third-party": { type: "boolean" },
+  replay: { type: "string" },
+  port: { type: "string" },
+  host: { type: "string" },
+  "dry-run": { type: "boolean" },
+  "no-notify": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+  // Pre-subcommand spelling of `baseline`
+  "update-baseline": { type: "boolean" },
+};
+
+class UsageError extends Error {}
+
+function parseInteger(name, value, min) {
+  if (undefined === value) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new UsageError(`--${name} must be an integer >= ${min}`);
+  }
+  return number;
+}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (positionals.length > 1) {
+    throw new UsageError(`Unexpected argument "${positionals[1]}"`);
+  }
+  let command = positionals[0] || "run";
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  if (values["update-baseline"]) {
+    if ("run" !== command && "baseline" !== command) {
+      throw new UsageError(`--update-baseline cannot be used with ${command}`);
+    }
+    command = "baseline";
+  }
+  if (values.reason && !["baseline", "promote"].includes(command)) {
+    throw new UsageError("--reason only applies to baseline and promote");
+  }
+  if ((values.pair || values["rewrite-host"]) && "ab" !== command) {
+    throw new UsageError("--pair and --rewrite-host only apply to ab");
+  }
+  if (values.replay && !["run", "baseline", "ab", "serve"].includes(command)) {
+    throw new UsageError(
+      "--replay only applies to run, baseline, ab and serve"
+    );
+  }
+  if ((values.port || values.host) && "serve" !== command) {
+    throw new UsageError("--port and --host only apply to serve");
+  }
+  if (values.pair && values["rewrite-host"]) {
+    throw new UsageError("Use either --pair or --rewrite-host, not both");
+  }
+
+  const discoverOnly = ["sitemap", "include", "exclude", "sample", "replace"];
+  for (const name of discoverOnly) {
+    if (values[name] && "discover" !== command) {
+      throw new UsageError(`--${name} only applies to discover`);
+    }
+  }
+
+  let pairs, rewrite, sample;
+  try {
+    pairs = (values.pair || []).map(parsePair);
+    rewrite = values["rewrite-host"]
+      ? parseHostRewrite(values["rewrite-host"])
+      : null;
+    sample = values.sample
+      ? Object.fromEntries(values.sample.map(parseSampleRule))
+      : undefined;
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  return {
+    command,
+    help: Boolean(values.help),
+    configFile: values.config || null,
+    projects: values.project
+      ? values.project.split(",").map((name) => name.trim())
+      : [],
+    urls: values.url || [],
+    group: values.group || null,
+    reason: values.reason || null,
+    replay: values.replay ? path.resolve(values.replay) : null,
+    pairs,
+    rewrite,
+    server: {
+      port: parseInteger("port", values.port, 0),
+      host: values.host,
+    },
+    discovery: {
+      sitemaps: values.sitemap || [],
+      include: values.include || [],
+      exclude: values.exclude || [],
+      sample,
+      replace: Boolean(values.replace),
+    },
+    overrides: {
+      runsOverride: parseInteger("runs", values.runs, 1),
+      profileOverride: values.profile
+        ? values.profile.split(",").map((name) => name.trim())
+        : undefined,
+      aggregation: values.aggregation,
+      runDelay: parseInteger("run-delay", values["run-delay"], 0),
+      runTimeout: parseInteger("timeout", values.timeout, 1000),
+      retries: parseInteger("retries", values.retries, 0),
+      outputDir: values["output-dir"]
+        ? path.resolve(values["output-dir"])
+        : undefined,
+      reporters: values.reporter
+        ? values.reporter.split(",").map((name) => name.trim())
+        : undefined,
+      archiveRuns: values.archive,
+      thirdPartyEnabled: values["third-party"],
+      dryRun: values["dry-run"],
+      notify: values["no-notify"] ? false : undefined,
+    },
+  };
+}
+
+// Command-line values win over the config file; unset flags leave the
+// config file's value alone.
+function mergeOptions(config, overrides) {
+  const options = { ...config };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (undefined !== value) options[key] = value;
+  }
+  return options;
+}
+
+// Commands that rebuild docs/, and with projects the overview page
+const DOCS_COMMANDS = ["report", "index"];
+// Commands working on a single urls.json
+const SINGLE_PROJECT_COMMANDS = ["discover", "serve"];
+// Commands that save results, and first move those stored under legacy keys
+// (see lib/result-keys.js); the others never rename files
+const MIGRATING_COMMANDS = ["run", "baseline"];
+
+async function execute({ configFile, projects: projectNames, ...parsed }) {
+  const options = mergeOptions(await loadConfig(configFile), parsed.overrides);
+  if (parsed.replay) {
+    // One runner for all URLs and projects, so recordings are replayed in turn
+    const runner = new ReplayRunner(parsed.replay);
+    options.createRunner = () => runner;
+  }
+
+  const projects = resolveProjects(options, projectNames);
+  if (!projects) return executeCommand(options, parsed);
+
+  if (SINGLE_PROJECT_COMMANDS.includes(parsed.command) && projects.length > 1) {
+    throw new Error(`${parsed.command} needs a single --project`);
+  }
+  // Project settings can't override the command line; outputDir is the
+  // root of all projects there
+  const { outputDir, ...overrides } = parsed.overrides;
+  const codes = [];
+  for (const project of projects) {
+    console.log(`\n=== Project ${project.label} ===`);
+    codes.push(
+      await executeCommand(mergeOptions(project.options, overrides), parsed)
+    );
+  }
+  if (DOCS_COMMANDS.includes(parsed.command) && !options.dryRun) {
+    await new IndexGenerator(options).generateOverview(
+      resolveProjects(options)
+    );
+  }
+  // An error outweighs a budget failure
+  return codes.includes(1) ? 1 : Math.max(...codes);
+}
+
+async function executeCommand(
+  options,
+  { command, urls, group, reason, pairs, rewrite, server, discovery }
+) {
+  const monitor = new PageSpeedMonitor(options);
+  if (!options.dryRun && MIGRATING_COMMANDS.includes(command)) {
+    await monitor.migrateResultKeys();
+  }
+
+  if ("index" === command) {
+    if (options.dryRun) {
+      console.log("Dry run: docs/ not written");
+      return 0;
+    }
+    await new IndexGenerator(options).generateIndex();
+    return 0;
+  }
+  if ("serve" === command) {
+    return serve(options, server);
+  }
+
+  switch (command) {
+    case "run":
+      return monitor.measure({ urls, group });
+    case "baseline":
+      return monitor.measure({ urls, group, baseline: true, reason });
+    case "promote":
+      return monitor.promote({ urls, group, reason });
+    case "rollback":
+      return monitor.rollback({ urls, group });
+    case "report": {
+      const code = await monitor.renderReports({ urls, group });
+      if (!options.dryRun) await new IndexGenerator(options).generateIndex();
+      return code;
+    }
+    case "compare":
+      return monitor.compare({ urls, group });
+    case "ab":
+      return monitor.comparePairs({ pairs, rewrite, urls, group });
+    case "discover":
+      return monitor.discover(discovery);
+  }
+}
+
+// Runs until interrupted; queued runs use the same options as the command
+async function serve(options, { port, host }) {
+  const generator = new IndexGenerator(options);
+  const dashboard = new DashboardServer({
+    createMonitor: (extra = {}) =>
+      new PageSpeedMonitor({ ...options, ...extra }),
+    createIndex: () => new IndexGenerator(options),
+    docsDir: generator.docsDir,
+    port,
+    host,
+  });
+  await dashboard.start();
+  await new Promise((resolve) => process.once("SIGINT", resolve));
+  console.log("\nStopping server");
+  await dashboard.stop();
+  return 0;
+}
+
+// Never throws: errors are printed and turned into the exit code
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseCommandLine(argv);
+  } catch (error) {
+    console.error(`Error: ${error.message}\n\nRun with --help for usage.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  try {
+    process.exitCode = await execute(parsed);
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main, parseCommandLine, USAGE };
+
+if (require.main === module) {
+  main();
+}
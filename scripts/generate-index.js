@@ -2,47 +2,74 @@
 
 const fs = require("fs-extra");
 const path = require("path");
+const { HistoryStore } = require("./lib/history");
+const { renderTrendChart, escapeXml } = require("./lib/charts");
+const { CATEGORIES } = require("./lib/categories");
+const { parseUrlEntries } = require("./lib/url-config");
+const { BUILT_IN_PROFILES, DEFAULT_PROFILE } = require("./lib/profiles");
+const { worstVerdict } = require("./lib/budgets");
+const { ROOT_DIR } = require("./lib/config");
+const { FAILURE_TYPES } = require("./lib/failures");
+const {
+  BaselineStore,
+  rollingWindowFor,
+  resolveBaseline,
+} = require("./lib/baselines");
+const { calculateDelta } = require("./lib/delta");
+const { environmentConfig } = require("./lib/environment");
+const { RunArchive } = require("./lib/run-archive");
 
-class IndexGenerator {
-  constructor() {
-    this.reportsDir = path.join(__dirname, "..", "reports");
-    this.docsDir = path.join(__dirname, "..", "docs");
-    this.latestDir = path.join(__dirname, "..", "latest");
-  }
-
-  async generateIndex() {
-    // Ensure docs directory exists
-    await fs.ensureDir(this.docsDir);
-
-    // Copy all HTML reports to docs
-    if (await fs.pathExists(this.reportsDir)) {
-      const reportFiles = await fs.readdir(this.reportsDir);
-      for (const file of reportFiles.filter((f) => f.endsWith(".html"))) {
-        await fs.copy(
-          path.join(this.reportsDir, file),
-          path.join(this.docsDir, file)
-        );
-      }
-    }
-
-    // Generate index.html
-    const indexHtml = await this.createIndexHtml();
-    await fs.writeFile(path.join(this.docsDir, "index.html"), indexHtml);
+// Column sorting and filtering of the comparison table, inlined into the
+// page. Leaf header cells map to body columns in order.
+const COMPARISON_TABLE_SCRIPT = `
+(function () {
+  var table = document.getElementById("comparison-table");
+  if (!table) return;
+  var tbody = table.tBodies[0];
+  var headers = [];
+  table.querySelectorAll("thead th").forEach(function (th) {
+    if (!th.colSpan || 1 === th.colSpan) headers.push(th);
+  });
+  headers.forEach(function (th, column) {
+    if (!th.dataset.sort) return;
+    th.addEventListener("click", function () {
+      var ascending = !th.classList.contains("sorted-asc");
+      headers.forEach(function (h) { h.classList.remove("sorted-asc", "sorted-desc"); });
+      th.classList.add(ascending ? "sorted-asc" : "sorted-desc");
+      var numeric = "number" === th.dataset.sort;
+      var rows = Array.prototype.slice.call(tbody.rows);
+      rows.sort(function (a, b) {
+        var x = a.cells[column].dataset.value;
+        var y = b.cells[column].dataset.value;
+        if ("" === x || "" === y) return ("" === x) - ("" === y);
+        var order = numeric ? x - y : x.localeCompare(y);
+        return ascending ? order : -order;
+      });
+      rows.forEach(function (row) { tbody.appendChild(row); });
+    });
+  });
 
-    console.log("📊 Generated GitHub Pages index at docs/index.html");
+  var search = document.getElementById("comparison-search");
+  var group = document.getElementById("comparison-group");
+  var profile = document.getElementById("comparison-profile");
+  function filter() {
+    var text = search.value.trim().toLowerCase();
+    Array.prototype.forEach.call(tbody.rows, function (row) {
+      var visible =
+        (!text || -1 !== row.dataset.search.indexOf(text)) &&
+        (!group || !group.value || row.dataset.group === group.value) &&
+        (!profile || !profile.value || row.dataset.profile === profile.value);
+      row.style.display = visible ? "" : "none";
+    });
   }
+  [search, group, profile].forEach(function (element) {
+    if (element) element.addEventListener("input", filter);
+  });
+})();
+`;
 
-  async createIndexHtml() {
-    const reports = await this.getReportData();
-    const timestamp = new Date().toLocaleString();
-
-    return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>📊 PageSpeed Monitoring Dashboard</title>
-    <style>
+// Shared by the dashboard and the project overview
+const DASHBOARD_STYLE = `
         * { margin: 0; padding: 0; box-sizing: border-box; }
         body { 
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -77,6 +104,21 @@ class IndexGenerator {
         }
         .stat-number { font-size: 2rem; font-weight: bold; margin-bottom: 5px; }
         .stat-label { color: #666; font-size: 0.9rem; }
+        .stat-change { font-size: 0.85rem; font-weight: 600; margin-top: 4px; }
+        .positive { color: #22543d; }
+        .negative { color: #c53030; }
+        .neutral { color: #666; }
+        .group-title {
+            font-size: 1.4rem;
+            color: #2d3748;
+            margin: 10px 0 15px;
+        }
+        .report-url {
+            color: #666;
+            font-size: 0.85rem;
+            margin: -10px 0 15px;
+            word-break: break-all;
+        }
         .reports-grid {
             display: grid;
             grid-template-columns: repeat(auto-fit, minmax(350px, 1fr));
@@ -119,6 +161,48 @@ class IndexGenerator {
         .score.good { background: #f0fff4; color: #22543d; }
         .score.needs-improvement { background: #fffbf0; color: #b7791f; }
         .score.poor { background: #fff5f5; color: #c53030; }
+        .verdict {
+            display: inline-block;
+            padding: 2px 10px;
+            border-radius: 12px;
+            font-size: 0.75rem;
+            font-weight: 700;
+            text-transform: uppercase;
+            vertical-align: middle;
+            margin-left: 8px;
+        }
+        .verdict.pass { background: #f0fff4; color: #22543d; }
+        .verdict.warn { background: #fffbf0; color: #b7791f; }
+        .verdict.fail { background: #fff5f5; color: #c53030; }
+        .failure-note {
+            border-left: 3px solid #b7791f;
+            background: #fffbf0;
+            color: #744210;
+            padding: 6px 10px;
+            margin-bottom: 12px;
+            font-size: 0.85rem;
+        }
+        .failure-note.failed { border-color: #c53030; background: #fff5f5; color: #9b2c2c; }
+        .trends {
+            display: grid;
+            grid-template-columns: repeat(2, 1fr);
+            gap: 8px;
+            margin-bottom: 20px;
+        }
+        .trend { font-size: 0.75rem; color: #666; }
+        .trend svg { display: block; width: 100%; height: auto; }
+        .profile-scores {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 20px;
+            font-size: 0.9rem;
+        }
+        .profile-scores th, .profile-scores td {
+            padding: 6px 8px;
+            text-align: left;
+            border-bottom: 1px solid #edf2f7;
+        }
+        .profile-scores .score { display: inline; padding: 2px 8px; font-weight: 700; }
         .view-report {
             display: inline-block;
             background: #667eea;
@@ -138,6 +222,32 @@ class IndexGenerator {
             background: white;
             border-radius: 8px;
         }
+        .comparison {
+            background: white;
+            border-radius: 12px;
+            padding: 24px;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+            margin-bottom: 30px;
+            overflow-x: auto;
+        }
+        .comparison-filters { display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 15px; }
+        .comparison-filters input, .comparison-filters select {
+            padding: 6px 10px;
+            border: 1px solid #cbd5e0;
+            border-radius: 6px;
+            font-size: 0.9rem;
+        }
+        .comparison-filters input { flex: 1; min-width: 200px; }
+        .comparison table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+        .comparison th, .comparison td { padding: 6px 8px; border-bottom: 1px solid #edf2f7; text-align: right; white-space: nowrap; }
+        .comparison .text { text-align: left; }
+        .comparison thead th { background: #f7fafc; color: #4a5568; }
+        .comparison th[data-sort] { cursor: pointer; user-select: none; }
+        .comparison th[data-sort]:hover { color: #667eea; }
+        .comparison th.sorted-asc::after { content: " ▲"; }
+        .comparison th.sorted-desc::after { content: " ▼"; }
+        .comparison td a { color: #4c51bf; text-decoration: none; }
+        .comparison .noise { color: #a0aec0; }
         .no-reports {
             text-align: center;
             background: white;
@@ -149,22 +259,102 @@ class IndexGenerator {
             .header h1 { font-size: 2rem; }
             .scores { grid-template-columns: 1fr; }
         }
-    </style>
+        .header a { color: white; }
+        .project-link { margin: -5px 0 30px; color: #666; }
+        .project-link a { color: #4c51bf; font-weight: 500; }
+    `;
+
+class IndexGenerator {
+  // options: { outputDir, urlsFile }, see lib/config.js; projects add
+  // { project, label, docsDir }, see lib/projects.js
+  constructor(options = {}) {
+    const outputDir = options.outputDir || ROOT_DIR;
+    this.project = options.project || null;
+    this.title = this.project
+      ? `📊 ${options.label || this.project}`
+      : "📊 PageSpeed Monitoring Dashboard";
+    this.reportsDir = path.join(outputDir, "reports");
+    this.docsDir = options.docsDir || path.join(outputDir, "docs");
+    this.latestDir = path.join(outputDir, "latest");
+    this.baselineDir = path.join(outputDir, "baseline");
+    this.urlsFile = options.urlsFile || path.join(ROOT_DIR, "urls.json");
+    this.history = new HistoryStore(path.join(outputDir, "history"));
+    this.baselines = new BaselineStore(this.baselineDir);
+    this.rollingWindow = rollingWindowFor(options);
+    this.environment = environmentConfig(options);
+    // Built from the same archive config as the monitor's, see run.js
+    this.runArchive = new RunArchive(
+      path.join(outputDir, "runs"),
+      options.archive || {}
+    );
+  }
+
+  async generateIndex() {
+    // Ensure docs directory exists
+    await fs.ensureDir(this.docsDir);
+
+    // Copy all HTML reports to docs
+    if (await fs.pathExists(this.reportsDir)) {
+      const reportFiles = await fs.readdir(this.reportsDir);
+      for (const file of reportFiles.filter((f) => f.endsWith(".html"))) {
+        await fs.copy(
+          path.join(this.reportsDir, file),
+          path.join(this.docsDir, file)
+        );
+      }
+    }
+
+    // Lighthouse reports of archived runs, linked from the reports; runs
+    // pruned from the archive are removed here too
+    const published = await this.runArchive.publish(
+      path.join(this.docsDir, "runs")
+    );
+    if (published > 0) {
+      console.log(`Published ${published} archived Lighthouse report(s)`);
+    }
+
+    // Generate index.html
+    const indexHtml = await this.createIndexHtml();
+    await fs.writeFile(path.join(this.docsDir, "index.html"), indexHtml);
+
+    console.log(
+      `📊 Generated GitHub Pages index at ${path.join(
+        this.docsDir,
+        "index.html"
+      )}`
+    );
+  }
+
+  async createIndexHtml() {
+    const reports = await this.getReportData();
+    const timestamp = new Date().toLocaleString();
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeXml(this.title)}</title>
+    <style>${DASHBOARD_STYLE}</style>
 </head>
 <body>
     <div class="header">
-        <h1>📊 PageSpeed Monitoring Dashboard</h1>
-        <p>Real-time performance monitoring with Lighthouse</p>
+        <h1>${escapeXml(this.title)}</h1>
+        <p>${
+          this.project
+            ? `<a href="../index.html">All projects</a>`
+            : "Real-time performance monitoring with Lighthouse"
+        }</p>
     </div>
 
     ${this.generateStatsSection(reports)}
 
+    ${this.generateComparisonTable(reports)}
+
     ${
       reports.length > 0
         ? `
-    <div class="reports-grid">
-        ${reports.map((report) => this.generateReportCard(report)).join("")}
-    </div>
+    ${this.generateReportGroups(reports)}
     `
         : `
     <div class="no-reports">
@@ -182,79 +372,523 @@ class IndexGenerator {
 </html>`;
   }
 
-  generateStatsSection(reports) {
-    if (reports.length === 0) return "";
+  // Top-level docs/index.html with the averages of every project, each
+  // linking to the project's own dashboard in docs/<name>/
+  async generateOverview(projects) {
+    const sections = [];
+    for (const { name, label, options } of projects) {
+      const generator = new IndexGenerator(options);
+      const reports = await generator.getReportData();
+      const pages = new Set(reports.map((r) => r.url)).size;
+      const timestamps = reports.map((r) => r.timestamp).filter(Boolean);
+      const updated =
+        timestamps.length > 0
+          ? new Date(timestamps.sort().pop()).toLocaleString()
+          : null;
+      sections.push(`
+    <h2 class="group-title"><a href="${name}/index.html">${escapeXml(
+        label
+      )}</a></h2>
+    <p class="project-link">${pages} page(s)${
+        updated ? ` • last measured ${updated}` : ""
+      } • <a href="${name}/index.html">Open dashboard</a></p>
+    ${
+      reports.length > 0
+        ? generator.generateStatsSection(reports)
+        : `<p class="project-link">No results yet</p>`
+    }`);
+    }
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>📊 PageSpeed Monitoring Dashboard</title>
+    <style>${DASHBOARD_STYLE}</style>
+</head>
+<body>
+    <div class="header">
+        <h1>📊 PageSpeed Monitoring Dashboard</h1>
+        <p>${projects.length} project(s)</p>
+    </div>
+    ${sections.join("")}
+    <div class="footer">
+        <p>🤖 Last updated: ${new Date().toLocaleString()}</p>
+        <p>📈 Powered by Lighthouse • 🔄 Auto-updated via GitHub Actions</p>
+    </div>
+</body>
+</html>`;
 
-    const avgPerformance = Math.round(
-      reports.reduce((sum, r) => sum + r.performance, 0) / reports.length
+    await fs.ensureDir(this.docsDir);
+    await fs.writeFile(path.join(this.docsDir, "index.html"), html);
+    console.log(
+      `📊 Generated project overview at ${path.join(
+        this.docsDir,
+        "index.html"
+      )}`
     );
-    const avgAccessibility = Math.round(
-      reports.reduce((sum, r) => sum + r.accessibility, 0) / reports.length
+  }
+
+  // Average over the URLs that measured this category
+  average(reports, key) {
+    const values = reports
+      .map((r) => r[key])
+      .filter((value) => "number" === typeof value);
+    if (0 === values.length) return "N/A";
+    return Math.round(
+      values.reduce((sum, value) => sum + value, 0) / values.length
     );
-    const avgBestPractices = Math.round(
-      reports.reduce((sum, r) => sum + r.bestPractices, 0) / reports.length
+  }
+
+  // Portfolio-wide change: average over the URLs that have a baseline score,
+  // now versus then, so URLs added since the baseline don't skew it
+  averageChange(reports, key) {
+    const pairs = reports.filter(
+      (r) =>
+        r.baseline &&
+        "number" === typeof r[key] &&
+        "number" === typeof r.baseline[key]
     );
-    const avgSeo = Math.round(
-      reports.reduce((sum, r) => sum + r.seo, 0) / reports.length
+    if (0 === pairs.length) return null;
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const change =
+      (sum(pairs.map((r) => r[key])) - sum(pairs.map((r) => r.baseline[key]))) /
+      pairs.length;
+    return Math.round(change * 10) / 10;
+  }
+
+  formatAverageChange(reports, key) {
+    const change = this.averageChange(reports, key);
+    if (null === change) return "";
+    const direction =
+      change > 0 ? "positive" : change < 0 ? "negative" : "neutral";
+    const arrow = change > 0 ? "▲" : change < 0 ? "▼" : "■";
+    return `<div class="stat-change ${direction}">${arrow} ${Math.abs(
+      change
+    )} vs baseline</div>`;
+  }
+
+  // Every URL and profile with baseline, current and delta per category.
+  // Rows start out sorted by their worst significant change, biggest
+  // regression first; the inline script adds column sorting and filters so
+  // the page stays static.
+  generateComparisonTable(reports) {
+    if (0 === reports.length) return "";
+
+    const worstChange = (report) => {
+      if (!report.delta) return null;
+      const changes = CATEGORIES.map(({ key }) =>
+        null !== report.delta[key] && report.delta.significant[key]
+          ? report.delta[key]
+          : 0
+      );
+      return Math.min(...changes);
+    };
+    const rows = reports
+      .map((report) => ({ report, worst: worstChange(report) }))
+      .sort((a, b) => {
+        if (null === a.worst || null === b.worst) {
+          return (null === a.worst) - (null === b.worst);
+        }
+        return a.worst - b.worst;
+      });
+
+    const groups = [...new Set(reports.map((r) => r.group).filter(Boolean))];
+    const profiles = [...new Set(reports.map((r) => r.profile))].sort((a, b) =>
+      this.compareProfiles(a, b)
     );
+    // Sort value of a cell; missing values always sort last
+    const cell = (value, html = value) =>
+      `<td data-value="${null == value ? "" : value}">${html}</td>`;
+    const textCell = (value, html = value) =>
+      `<td class="text" data-value="${escapeXml(value)}">${html}</td>`;
+    const formatDelta = (report, key) => {
+      const delta = report.delta;
+      if (!delta || null === delta[key]) return cell(null, "&ndash;");
+      const value = delta[key];
+      const text = `${value > 0 ? "+" : ""}${value}`;
+      if (!delta.significant[key]) {
+        return cell(
+          value,
+          `<span class="noise" title="Within run-to-run noise (&plusmn;${delta.noise[key]})">${text}</span>`
+        );
+      }
+      return cell(
+        value,
+        `<span class="${
+          value > 0 ? "positive" : value < 0 ? "negative" : "neutral"
+        }">${text}</span>`
+      );
+    };
 
     return `
-    <div class="stats">
-        <div class="stat-card">
-            <div class="stat-number" style="color: ${this.getScoreColor(
-              avgPerformance
-            )}">${avgPerformance}</div>
-            <div class="stat-label">Avg Performance</div>
-        </div>
-        <div class="stat-card">
-            <div class="stat-number" style="color: ${this.getScoreColor(
-              avgAccessibility
-            )}">${avgAccessibility}</div>
-            <div class="stat-label">Avg Accessibility</div>
+    <div class="comparison">
+        <h2 class="group-title">Changes since baseline</h2>
+        <div class="comparison-filters">
+            <input type="search" id="comparison-search" placeholder="Filter by page, URL or tag">
+            ${
+              groups.length > 0
+                ? `<select id="comparison-group">
+                <option value="">All groups</option>
+                ${groups
+                  .map(
+                    (group) =>
+                      `<option value="${escapeXml(group)}">${escapeXml(
+                        group
+                      )}</option>`
+                  )
+                  .join("")}
+            </select>`
+                : ""
+            }
+            ${
+              profiles.length > 1
+                ? `<select id="comparison-profile">
+                <option value="">All profiles</option>
+                ${profiles
+                  .map((profile) => `<option>${profile}</option>`)
+                  .join("")}
+            </select>`
+                : ""
+            }
         </div>
+        <table id="comparison-table">
+            <thead>
+                <tr>
+                    <th rowspan="2" class="text" data-sort="text">Page</th>
+                    <th rowspan="2" class="text" data-sort="text">Profile</th>
+                    ${CATEGORIES.map(
+                      ({ label }) => `<th colspan="3">${label}</th>`
+                    ).join("")}
+                </tr>
+                <tr>
+                    ${CATEGORIES.map(
+                      () =>
+                        `<th data-sort="number">Base</th><th data-sort="number">Now</th><th data-sort="number">&Delta;</th>`
+                    ).join("")}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows
+                  .map(
+                    ({ report }) => `
+                <tr data-search="${escapeXml(
+                  [
+                    report.label,
+                    report.url,
+                    report.group,
+                    ...(report.tags || []),
+                  ]
+                    .filter(Boolean)
+                    .join(" ")
+                    .toLowerCase()
+                )}" data-group="${escapeXml(
+                      report.group || ""
+                    )}" data-profile="${report.profile}">
+                    ${textCell(
+                      report.label || report.url,
+                      `<a href="${report.filename}">${escapeXml(
+                        report.label || report.url
+                      )}</a>`
+                    )}
+                    ${textCell(report.profile)}
+                    ${CATEGORIES.map(
+                      ({ key }) =>
+                        cell(
+                          report.baseline ? report.baseline[key] : null,
+                          this.formatScore(
+                            report.baseline ? report.baseline[key] : null
+                          )
+                        ) +
+                        cell(report[key], this.formatScore(report[key])) +
+                        formatDelta(report, key)
+                    ).join("")}
+                </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>
+    </div>
+    <script>${COMPARISON_TABLE_SCRIPT}</script>`;
+  }
+
+  // One card per URL with all of its profiles; built-in profiles first
+  compareProfiles(a, b) {
+    const order = (profile) => {
+      const index = BUILT_IN_PROFILES.indexOf(profile);
+      return -1 === index ? BUILT_IN_PROFILES.length : index;
+    };
+    return order(a) - order(b) || a.localeCompare(b);
+  }
+
+  groupByPage(reports) {
+    const pages = new Map();
+    for (const report of reports) {
+      if (!pages.has(report.url)) {
+        pages.set(report.url, {
+          url: report.url,
+          label: report.label,
+          group: report.group,
+          reports: [],
+        });
+      }
+      pages.get(report.url).reports.push(report);
+    }
+
+    for (const page of pages.values()) {
+      page.reports.sort((a, b) => this.compareProfiles(a.profile, b.profile));
+    }
+    return [...pages.values()];
+  }
+
+  // Cards are grouped by the "group" field from urls.json, in the order the
+  // groups first appear. Without any groups the grid looks as before.
+  generateReportGroups(reports) {
+    const pages = this.groupByPage(reports);
+    const groups = new Map();
+    for (const page of pages) {
+      const group = page.group || "";
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(page);
+    }
+
+    const renderGrid = (items) => `
+    <div class="reports-grid">
+        ${items.map((page) => this.generateReportCard(page)).join("")}
+    </div>`;
+
+    if (1 === groups.size && groups.has("")) return renderGrid(pages);
+
+    return [...groups.entries()]
+      .map(
+        ([group, items]) => `
+    <h2 class="group-title">${escapeXml(group || "Other")}</h2>
+    ${renderGrid(items)}`
+      )
+      .join("");
+  }
+
+  // With several profiles, mobile and desktop averages are shown separately;
+  // averaging them together would hide both.
+  generateStatsSection(reports) {
+    if (reports.length === 0) return "";
+
+    const profiles = [...new Set(reports.map((r) => r.profile))];
+    if (1 === profiles.length) return this.generateProfileStats(reports);
+
+    return profiles
+      .sort((a, b) => this.compareProfiles(a, b))
+      .map(
+        (profile) => `
+    <h2 class="group-title">${profile}</h2>
+    ${this.generateProfileStats(reports.filter((r) => r.profile === profile))}`
+      )
+      .join("");
+  }
+
+  generateProfileStats(reports) {
+    const budgetFailures = reports.filter(
+      (r) => r.budget && "fail" === r.budget.status
+    ).length;
+    const notMeasured = reports.filter((r) => "failed" === r.status).length;
+
+    return `
+    <div class="stats">
+        ${CATEGORIES.map(({ key, label }) => {
+          const avg = this.average(reports, key);
+          return `
         <div class="stat-card">
             <div class="stat-number" style="color: ${this.getScoreColor(
-              avgBestPractices
-            )}">${avgBestPractices}</div>
-            <div class="stat-label">Avg Best Practices</div>
-        </div>
+              avg
+            )}">${avg}</div>
+            <div class="stat-label">Avg ${label}</div>
+            ${this.formatAverageChange(reports, key)}
+        </div>`;
+        }).join("")}
         <div class="stat-card">
-            <div class="stat-number" style="color: ${this.getScoreColor(
-              avgSeo
-            )}">${avgSeo}</div>
-            <div class="stat-label">Avg SEO</div>
+            <div class="stat-number" style="color: ${
+              budgetFailures > 0 ? "#c53030" : "#22543d"
+            }">${budgetFailures}</div>
+            <div class="stat-label">Budgets Failing</div>
         </div>
+        ${
+          notMeasured > 0
+            ? `<div class="stat-card">
+            <div class="stat-number" style="color: #c53030">${notMeasured}</div>
+            <div class="stat-label">Failed To Measure</div>
+        </div>`
+            : ""
+        }
     </div>`;
   }
 
-  generateReportCard(report) {
-    const url = new URL(report.url);
+  generateReportCard(page) {
+    const url = new URL(page.url);
     const displayName =
-      url.pathname === "/" ? url.hostname : `${url.hostname}${url.pathname}`;
+      page.label ||
+      (url.pathname === "/" ? url.hostname : `${url.hostname}${url.pathname}`);
+    const verdicts = page.reports
+      .filter((r) => r.budget)
+      .map((r) => r.budget.status);
+    const report = page.reports[0];
 
     return `
     <div class="report-card">
-        <h3 class="report-title">${displayName}</h3>
+        <h3 class="report-title">${escapeXml(displayName)}${
+      verdicts.length > 0
+        ? `<span class="verdict ${worstVerdict(verdicts)}">${worstVerdict(
+            verdicts
+          )}</span>`
+        : ""
+    }</h3>
+        ${page.label ? `<p class="report-url">${escapeXml(page.url)}</p>` : ""}
+        ${this.generateFailureNotes(page)}
+        ${this.generateEnvironmentNotes(page)}
+        ${
+          page.reports.length > 1
+            ? this.generateProfileTable(page)
+            : this.generateScoreTiles(report)
+        }
+        ${this.generateTrendCharts(report)}
+        ${page.reports
+          .map(
+            (r) =>
+              `<a href="${r.filename}" class="view-report">📋 ${
+                page.reports.length > 1 ? r.profile : "View Full Report"
+              }</a>`
+          )
+          .join(" ")}
+    </div>`;
+  }
+
+  // Failed and partially failed profiles, so stale or missing scores are
+  // never mistaken for a measurement
+  generateFailureNotes(page) {
+    return page.reports
+      .filter((r) => r.failures && r.failures.length > 0)
+      .map((r) => {
+        const failed = "failed" === r.status;
+        const types = [
+          ...new Set(r.failures.map((f) => FAILURE_TYPES[f.type] || f.type)),
+        ].join(", ");
+        return `<p class="failure-note ${failed ? "failed" : "partial"}">⚠️ ${
+          r.profile
+        }: ${
+          failed
+            ? "measurement failed"
+            : `${r.failures.length} of ${
+                r.failures.length + (r.rawResults || []).length
+              } runs failed`
+        } (${types})</p>`;
+      })
+      .join("");
+  }
+
+  // Changes against the baseline that may be the environment's doing
+  generateEnvironmentNotes(page) {
+    return page.reports
+      .filter((r) => r.delta && r.delta.environment.length > 0)
+      .map(
+        (r) =>
+          `<p class="failure-note">⚠️ ${
+            r.profile
+          }: environment changed since the baseline (${escapeXml(
+            r.delta.environment.join(", ")
+          )})</p>`
+      )
+      .join("");
+  }
+
+  generateProfileTable(page) {
+    return `
+        <table class="profile-scores">
+            <thead>
+                <tr>
+                    <th></th>
+                    ${page.reports.map((r) => `<th>${r.profile}</th>`).join("")}
+                </tr>
+            </thead>
+            <tbody>
+                ${CATEGORIES.map(
+                  ({ key, label }) => `
+                <tr>
+                    <td>${label}</td>
+                    ${page.reports
+                      .map(
+                        (r) =>
+                          `<td><span class="score ${this.getScoreClass(
+                            r[key]
+                          )}">${this.formatScore(r[key])}</span></td>`
+                      )
+                      .join("")}
+                </tr>`
+                ).join("")}
+            </tbody>
+        </table>`;
+  }
+
+  generateScoreTiles(report) {
+    return `
         <div class="scores">
             <div class="score ${this.getScoreClass(report.performance)}">
                 <span class="score-label">Performance</span>
-                <span class="score-value">${report.performance}</span>
+                <span class="score-value">${this.formatScore(
+                  report.performance
+                )}</span>
             </div>
             <div class="score ${this.getScoreClass(report.accessibility)}">
                 <span class="score-label">Accessibility</span>
-                <span class="score-value">${report.accessibility}</span>
+                <span class="score-value">${this.formatScore(
+                  report.accessibility
+                )}</span>
             </div>
             <div class="score ${this.getScoreClass(report.bestPractices)}">
                 <span class="score-label">Best Practices</span>
-                <span class="score-value">${report.bestPractices}</span>
+                <span class="score-value">${this.formatScore(
+                  report.bestPractices
+                )}</span>
             </div>
             <div class="score ${this.getScoreClass(report.seo)}">
                 <span class="score-label">SEO</span>
-                <span class="score-value">${report.seo}</span>
+                <span class="score-value">${this.formatScore(report.seo)}</span>
             </div>
-        </div>
-        <a href="${report.filename}" class="view-report">📋 View Full Report</a>
-    </div>`;
+        </div>`;
+  }
+
+  generateTrendCharts(report) {
+    if (!report.history || report.history.length < 2) return "";
+
+    return `
+        <p class="trend">Trend (${report.profile})</p>
+        <div class="trends">
+            ${CATEGORIES.map(
+              ({ key, label }) => `
+            <div class="trend">${label}${renderTrendChart({
+                title: label,
+                points: report.history.map((record) => ({
+                  timestamp: record.timestamp,
+                  value: record[key],
+                })),
+                baseline: report.baseline ? report.baseline[key] : null,
+                width: 150,
+                height: 40,
+                compact: true,
+              })}</div>`
+            ).join("")}
+        </div>`;
+  }
+
+  // Labels and groups come from urls.json so renaming a page doesn't have to
+  // wait for the next measurement
+  async loadUrlEntries() {
+    try {
+      const data = await fs.readFile(this.urlsFile, "utf8");
+      return parseUrlEntries(JSON.parse(data));
+    } catch (error) {
+      console.warn("Could not read urls.json:", error.message);
+      return [];
+    }
   }
 
   async getReportData() {
@@ -262,15 +896,34 @@ class IndexGenerator {
 
     if (!(await fs.pathExists(this.latestDir))) return reports;
 
+    const entries = await this.loadUrlEntries();
+
     const files = await fs.readdir(this.latestDir);
 
     for (const file of files.filter((f) => f.endsWith(".json"))) {
       try {
         const data = await fs.readFile(path.join(this.latestDir, file), "utf8");
         const report = JSON.parse(data);
+        const entry = entries.find((e) => e.url === report.url) || {};
+        const key = file.replace(".json", "");
+        const baseline = await resolveBaseline(
+          this.baselines,
+          this.history,
+          key,
+          { rollingWindow: this.rollingWindow, before: report.timestamp }
+        );
         reports.push({
           ...report,
+          // Files written before profiles existed are mobile results
+          profile: report.profile || file.split(".")[1] || DEFAULT_PROFILE,
+          label: entry.label || report.label,
+          group: entry.group || report.group,
           filename: file.replace(".json", ".html"),
+          baseline,
+          delta: calculateDelta(report, baseline, {
+            benchmarkTolerance: this.environment.tolerance,
+          }),
+          history: await this.history.load(key),
         });
       } catch (error) {
         console.warn(`Could not read report file ${file}:`, error.message);
@@ -280,26 +933,28 @@ class IndexGenerator {
     return reports.sort((a, b) => a.url.localeCompare(b.url));
   }
 
+  formatScore(score) {
+    return null == score ? "&ndash;" : score;
+  }
+
   getScoreClass(score) {
+    if (null == score) return "";
     if (score >= 90) return "good";
     if (score >= 50) return "needs-improvement";
     return "poor";
   }
 
   getScoreColor(score) {
+    if ("number" !== typeof score) return "#666";
     if (score >= 90) return "#22543d";
     if (score >= 50) return "#b7791f";
     return "#c53030";
   }
 }
 
-// Run if called directly
+module.exports = IndexGenerator;
+
+// Run if called directly; same as `node scripts/cli.js index`
 if (require.main === module) {
-  const generator = new IndexGenerator();
-  generator.generateIndex().catch((error) => {
-    console.error("Error generating index:", error.message);
-    process.exit(1);
-  });
+  require("./cli").main(["index", ...process.argv.slice(2)]);
 }
-
-module.exports = IndexGenerator;
@@ -0,0 +1,138 @@
+const { METRICS } = require("./metrics");
+const { median } = require("./stats");
+
+// Audits that feed the metric table already; listing them again as failing
+// audits would only repeat it.
+const METRIC_AUDITS = METRICS.map((metric) => metric.audit);
+
+// Savings changes smaller than this are treated as noise
+const MIN_SAVINGS_CHANGE_MS = 100;
+const MIN_SAVINGS_CHANGE_BYTES = 10 * 1024;
+
+const SCORED_MODES = ["binary", "numeric", "metricSavings"];
+
+function auditSavings(audit) {
+  const details = audit.details || {};
+  const metricSavings = Object.values(audit.metricSavings || {});
+  return {
+    savingsMs: Math.round(
+      details.overallSavingsMs ||
+        (metricSavings.length > 0 ? Math.max(...metricSavings) : 0)
+    ),
+    savingsBytes: Math.round(details.overallSavingsBytes || 0),
+  };
+}
+
+// Failing (red) and warning (orange) audits of one Lighthouse result
+function extractAudits(lhr) {
+  const audits = [];
+  for (const [id, audit] of Object.entries(lhr.audits || {})) {
+    if (METRIC_AUDITS.includes(id)) continue;
+    if (!SCORED_MODES.includes(audit.scoreDisplayMode)) continue;
+    if ("number" !== typeof audit.score || audit.score >= 0.9) continue;
+
+    audits.push({
+      id,
+      title: audit.title,
+      status: audit.score < 0.5 ? "fail" : "warn",
+      score: audit.score,
+      type:
+        audit.details && "opportunity" === audit.details.type
+          ? "opportunity"
+          : "diagnostic",
+      displayValue: audit.displayValue || "",
+      ...auditSavings(audit),
+    });
+  }
+  return audits;
+}
+
+// An audit counts for the aggregate when it failed or warned in at least
+// half of the runs; its savings are the median over those runs.
+function aggregateAudits(results) {
+  const byId = new Map();
+  for (const result of results) {
+    for (const audit of result.audits || []) {
+      if (!byId.has(audit.id)) byId.set(audit.id, []);
+      byId.get(audit.id).push(audit);
+    }
+  }
+
+  const audits = [];
+  for (const occurrences of byId.values()) {
+    if (occurrences.length * 2 < results.length) continue;
+    const score = median(occurrences.map((a) => a.score));
+    audits.push({
+      ...occurrences[occurrences.length - 1],
+      score,
+      status: score < 0.5 ? "fail" : "warn",
+      savingsMs: Math.round(median(occurrences.map((a) => a.savingsMs))),
+      savingsBytes: Math.round(median(occurrences.map((a) => a.savingsBytes))),
+    });
+  }
+  return audits.sort(byImpact);
+}
+
+// Time savings dominate; bytes only break ties between audits without any
+function impactOf({ savingsMs = 0, savingsBytes = 0 }) {
+  return Math.abs(savingsMs) * 1024 * 1024 + Math.abs(savingsBytes);
+}
+
+function byImpact(a, b) {
+  return impactOf(b) - impactOf(a);
+}
+
+// Changes between the baseline's and the current failing audits:
+// "new" (started failing), "fixed" (no longer failing), "worse" / "better"
+// (still failing, but status or savings moved).
+function diffAudits(current, baseline) {
+  if (!current || !baseline) return null;
+
+  const before = new Map(baseline.map((audit) => [audit.id, audit]));
+  const after = new Map(current.map((audit) => [audit.id, audit]));
+  const changes = [];
+
+  for (const audit of current) {
+    const previous = before.get(audit.id);
+    if (!previous) {
+      changes.push({ ...audit, change: "new" });
+      continue;
+    }
+
+    const deltaMs = audit.savingsMs - previous.savingsMs;
+    const deltaBytes = audit.savingsBytes - previous.savingsBytes;
+    const statusChanged = audit.status !== previous.status;
+    const savingsChanged =
+      Math.abs(deltaMs) >= MIN_SAVINGS_CHANGE_MS ||
+      Math.abs(deltaBytes) >= MIN_SAVINGS_CHANGE_BYTES;
+    if (!statusChanged && !savingsChanged) continue;
+
+    const worse = statusChanged
+      ? "fail" === audit.status
+      : deltaMs > 0 || (0 === deltaMs && deltaBytes > 0);
+    changes.push({
+      ...audit,
+      change: worse ? "worse" : "better",
+      previousStatus: previous.status,
+      deltaMs,
+      deltaBytes,
+    });
+  }
+
+  for (const audit of baseline) {
+    if (!after.has(audit.id)) changes.push({ ...audit, change: "fixed" });
+  }
+
+  // New and fixed audits are ranked by their full savings, changed ones by
+  // how much their savings moved
+  const impact = (change) =>
+    undefined === change.deltaMs
+      ? impactOf(change)
+      : impactOf({
+          savingsMs: change.deltaMs,
+          savingsBytes: change.deltaBytes,
+        });
+  return changes.sort((a, b) => impact(b) - impact(a));
+}
+
+module.exports = { extractAudits, aggregateAudits, diffAudits };
@@ -0,0 +1,208 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { CATEGORIES } = require("./categories");
+const { METRICS } = require("./metrics");
+const { median, summarize } = require("./stats");
+const { aggregateResources } = require("./resources");
+const { aggregateThirdParty } = require("./third-party");
+const { aggregateEnvironment } = require("./environment");
+
+const DEFAULT_ROLLING_WINDOW = 7;
+
+// Baselines live in baseline/<key>.json as before. Replacing one moves the
+// old file to baseline/archive/<key>/<created-at>.json, so every earlier
+// baseline can be restored with `rollback`.
+class BaselineStore {
+  constructor(baselineDir) {
+    this.baselineDir = baselineDir;
+    this.archiveDir = path.join(baselineDir, "archive");
+  }
+
+  fileFor(key) {
+    return path.join(this.baselineDir, `${key}.json`);
+  }
+
+  archiveDirFor(key) {
+    return path.join(this.archiveDir, key);
+  }
+
+  async load(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(key), "utf8"));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // meta: { createdAt, source, reason, commit }, see createMeta()
+  async save(key, result, meta) {
+    const previous = await this.load(key);
+    if (previous) await this.archive(key, previous);
+
+    await fs.ensureDir(this.baselineDir);
+    await fs.writeFile(
+      this.fileFor(key),
+      JSON.stringify({ ...result, meta }, null, 2)
+    );
+  }
+
+  async archive(key, baseline) {
+    // Baselines from before metadata existed are archived under their
+    // measurement time
+    const createdAt =
+      (baseline.meta && baseline.meta.createdAt) ||
+      baseline.timestamp ||
+      new Date().toISOString();
+    const dir = this.archiveDirFor(key);
+    await fs.ensureDir(dir);
+    await fs.writeFile(
+      path.join(dir, `${createdAt.replace(/:/g, "-")}.json`),
+      JSON.stringify(baseline, null, 2)
+    );
+  }
+
+  // Oldest first; ISO timestamps sort chronologically as file names
+  async listArchived(key) {
+    const dir = this.archiveDirFor(key);
+    if (!(await fs.pathExists(dir))) return [];
+    return (await fs.readdir(dir)).filter((f) => f.endsWith(".json")).sort();
+  }
+
+  // Puts the newest archived baseline back in place. The replaced baseline
+  // is dropped rather than archived, so repeated rollbacks keep walking back
+  // instead of toggling between two versions.
+  async rollback(key) {
+    const archived = await this.listArchived(key);
+    if (0 === archived.length) return null;
+
+    const file = path.join(this.archiveDirFor(key), archived.pop());
+    const restored = JSON.parse(await fs.readFile(file, "utf8"));
+    await fs.writeFile(this.fileFor(key), JSON.stringify(restored, null, 2));
+    await fs.remove(file);
+    if (0 === archived.length) await fs.remove(this.archiveDirFor(key));
+    return restored;
+  }
+}
+
+// GITHUB_SHA in Actions, otherwise whatever git says; null outside a repo
+function currentCommit() {
+  if (process.env.GITHUB_SHA) return process.env.GITHUB_SHA.slice(0, 12);
+  try {
+    return execFileSync("git", ["rev-parse", "--short=12", "HEAD"], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+function createMeta(source, reason = null) {
+  return {
+    createdAt: new Date().toISOString(),
+    source,
+    reason,
+    commit: currentCommit(),
+  };
+}
+
+// A baseline computed from the last `window` regular runs in the history
+// instead of a frozen snapshot: the median per category and metric, with
+// the spread over the window as its noise. Runs at or after `before` are
+// ignored so a run is never compared against itself.
+function rollingBaseline(
+  records,
+  { window = DEFAULT_ROLLING_WINDOW, before = null } = {}
+) {
+  const runs = records
+    .filter((record) => "latest" === record.type)
+    .filter((record) => "failed" !== record.status)
+    .filter((record) => !before || record.timestamp < before)
+    .slice(-window);
+  if (0 === runs.length) return null;
+
+  const last = runs[runs.length - 1];
+  const baseline = {
+    url: last.url,
+    label: last.label,
+    profile: last.profile,
+    runs: runs.length,
+    aggregation: "median",
+    timestamp: last.timestamp,
+    rolling: {
+      window,
+      runs: runs.length,
+      from: runs[0].timestamp,
+      to: last.timestamp,
+    },
+  };
+
+  const stats = {};
+  for (const { key } of CATEGORIES) {
+    const values = runs
+      .map((record) => record[key])
+      .filter((value) => "number" === typeof value);
+    baseline[key] = values.length > 0 ? Math.round(median(values)) : null;
+    stats[key] = values.length > 0 ? summarize(values) : null;
+  }
+  baseline.stats = stats;
+
+  baseline.metrics = {};
+  for (const { key } of METRICS) {
+    const values = runs
+      .map((record) => record.metrics && record.metrics[key])
+      .filter((value) => "number" === typeof value);
+    baseline.metrics[key] = values.length > 0 ? median(values) : null;
+  }
+  baseline.resources = aggregateResources(runs, median);
+  baseline.thirdParty = aggregateThirdParty(runs, median);
+  baseline.environment = aggregateEnvironment(runs);
+  // Screenshots can't be averaged; the newest run's stand for the window
+  baseline.screenshots = last.screenshots;
+
+  // User flow steps get a rolling baseline of their own, matched by name
+  if (last.steps) {
+    baseline.steps = last.steps.map(({ name, mode }) => {
+      const stepRuns = runs.map((record) => ({
+        ...(record.steps || []).find((step) => step.name === name),
+        type: "latest",
+        timestamp: record.timestamp,
+      }));
+      const { rolling, ...step } = rollingBaseline(stepRuns, { window });
+      return { ...step, name, mode };
+    });
+  }
+  return baseline;
+}
+
+// "baseline": { "mode": "rolling", "window": 7 } in the config file; null
+// for the default fixed baseline
+function rollingWindowFor(config = {}) {
+  const { mode, window } = config.baseline || {};
+  return "rolling" === mode ? window || DEFAULT_ROLLING_WINDOW : null;
+}
+
+// The baseline a result is compared against. With a rolling baseline,
+// `before` is the timestamp of that result so it is left out of its own
+// baseline; until there is any history the fixed baseline is used.
+async function resolveBaseline(store, history, key, options = {}) {
+  const { rollingWindow = null, before = null } = options;
+  if (rollingWindow) {
+    const rolling = rollingBaseline(await history.load(key, 0), {
+      window: rollingWindow,
+      before,
+    });
+    if (rolling) return rolling;
+  }
+  return store.load(key);
+}
+
+module.exports = {
+  BaselineStore,
+  DEFAULT_ROLLING_WINDOW,
+  createMeta,
+  rollingBaseline,
+  rollingWindowFor,
+  resolveBaseline,
+};
@@ -0,0 +1,130 @@
+const fs = require("fs-extra");
+const { CATEGORIES } = require("./categories");
+const { RESOURCE_TYPES, formatBytes } = require("./resources");
+
+// Exit code used when at least one URL breaks its budget, so CI can tell a
+// regression apart from a crash (exit code 1).
+const EXIT_BUDGET_FAILED = 2;
+
+const VERDICTS = ["pass", "warn", "fail"];
+
+const worstVerdict = (verdicts) =>
+  verdicts.reduce(
+    (worst, verdict) =>
+      VERDICTS.indexOf(verdict) > VERDICTS.indexOf(worst) ? verdict : worst,
+    "pass"
+  );
+
+class BudgetChecker {
+  constructor(budgetsFile) {
+    this.budgetsFile = budgetsFile;
+    this.defaults = {};
+  }
+
+  async load() {
+    if (!(await fs.pathExists(this.budgetsFile))) return;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.budgetsFile, "utf8"));
+      this.defaults = data.defaults || {};
+    } catch (error) {
+      throw new Error(`Invalid budgets file: ${error.message}`);
+    }
+  }
+
+  // Per-URL overrides (from urls.json) win over the global defaults, one
+  // field at a time, so an entry can tighten maxDrop but keep the default min.
+  budgetFor(category, overrides = {}) {
+    return {
+      min: null,
+      maxDrop: null,
+      warnDrop: null,
+      ...this.defaults[category],
+      ...overrides[category],
+    };
+  }
+
+  evaluate(current, baseline, overrides = {}) {
+    // Categories that were not measured for this URL have no verdict
+    const measured = CATEGORIES.filter(({ key }) => null != current[key]);
+    const checks = measured.map(({ key, label }) => {
+      const budget = this.budgetFor(key, overrides);
+      const score = current[key];
+      const drop =
+        baseline && null != baseline[key] ? baseline[key] - score : null;
+      const reasons = [];
+      let status = "pass";
+
+      if (null !== budget.min && score < budget.min) {
+        status = "fail";
+        reasons.push(`${score} is below the minimum of ${budget.min}`);
+      }
+
+      if (null !== drop && null !== budget.maxDrop && drop > budget.maxDrop) {
+        status = "fail";
+        reasons.push(`dropped ${drop} points (max ${budget.maxDrop})`);
+      } else if (
+        null !== drop &&
+        null !== budget.warnDrop &&
+        drop > budget.warnDrop
+      ) {
+        status = worstVerdict([status, "warn"]);
+        reasons.push(`dropped ${drop} points (warn at ${budget.warnDrop})`);
+      }
+
+      return { category: key, label, score, drop, budget, status, reasons };
+    });
+
+    const resources = this.evaluateResources(current, overrides);
+    return {
+      status: worstVerdict(
+        [...checks, ...resources].map((check) => check.status)
+      ),
+      checks,
+      resources,
+    };
+  }
+
+  resourceBudgetFor(type, overrides = {}) {
+    return {
+      maxKb: null,
+      maxRequests: null,
+      ...(this.defaults.resources || {})[type],
+      ...(overrides.resources || {})[type],
+    };
+  }
+
+  // Transfer size and request count limits per resource type; types
+  // without a limit are not checked
+  evaluateResources(current, overrides = {}) {
+    if (!current.resources) return [];
+    return RESOURCE_TYPES.map(({ key, label }) => {
+      const budget = this.resourceBudgetFor(key, overrides);
+      if (null === budget.maxKb && null === budget.maxRequests) return null;
+
+      const { bytes, requests } = current.resources[key];
+      const reasons = [];
+      if (null !== budget.maxKb && bytes > budget.maxKb * 1024) {
+        reasons.push(
+          `${formatBytes(bytes)} is over the budget of ${budget.maxKb} KiB`
+        );
+      }
+      if (null !== budget.maxRequests && requests > budget.maxRequests) {
+        reasons.push(
+          `${requests} requests are over the budget of ${budget.maxRequests}`
+        );
+      }
+      return {
+        resource: key,
+        label,
+        bytes,
+        requests,
+        budget,
+        status: reasons.length > 0 ? "fail" : "pass",
+        reasons,
+      };
+    }).filter(Boolean);
+  }
+}
+
+module.exports = { BudgetChecker, EXIT_BUDGET_FAILED, worstVerdict };
@@ -0,0 +1,9 @@
+// The four Lighthouse categories we track, keyed the way results are stored.
+const CATEGORIES = [
+  { key: "performance", id: "performance", label: "Performance" },
+  { key: "accessibility", id: "accessibility", label: "Accessibility" },
+  { key: "bestPractices", id: "best-practices", label: "Best Practices" },
+  { key: "seo", id: "seo", label: "SEO" },
+];
+
+module.exports = { CATEGORIES };
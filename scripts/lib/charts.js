@@ -0,0 +1,131 @@
+// Inline SVG trend charts. No external scripts or fonts, so the generated
+// pages keep working when opened from disk or GitHub Pages.
+
+const LINE_COLORS = {
+  good: "#0c7e3e",
+  "needs-improvement": "#e67e22",
+  poor: "#d93025",
+};
+
+const scoreClass = (score) => {
+  if (score >= 90) return "good";
+  if (score >= 50) return "needs-improvement";
+  return "poor";
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toISOString().slice(0, 10);
+
+// points: [{ timestamp, value }] oldest first, values on a 0-100 scale.
+// baseline: optional score drawn as a dashed reference line.
+function renderTrendChart({
+  title,
+  points,
+  baseline = null,
+  width = 320,
+  height = 120,
+  compact = false,
+}) {
+  const values = points.filter((p) => "number" === typeof p.value);
+  const padding = compact
+    ? { top: 4, right: 4, bottom: 4, left: 4 }
+    : { top: 20, right: 10, bottom: 22, left: 30 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  const x = (i) =>
+    padding.left +
+    (values.length > 1 ? (i / (values.length - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => padding.top + plotHeight - (value / 100) * plotHeight;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" class="trend-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(
+      title
+    )} trend">`,
+    `<title>${escapeXml(title)}</title>`,
+    `<rect x="${padding.left}" y="${padding.top}" width="${plotWidth}" height="${plotHeight}" fill="#fafafa" stroke="#eee"/>`,
+  ];
+
+  if (!compact) {
+    parts.push(
+      `<text x="${
+        padding.left
+      }" y="13" font-size="11" font-family="sans-serif" fill="#333">${escapeXml(
+        title
+      )}</text>`
+    );
+    for (const tick of [0, 50, 100]) {
+      parts.push(
+        `<text x="${padding.left - 4}" y="${
+          y(tick) + 3
+        }" font-size="9" font-family="sans-serif" fill="#999" text-anchor="end">${tick}</text>`
+      );
+    }
+  }
+
+  if ("number" === typeof baseline) {
+    parts.push(
+      `<line x1="${padding.left}" x2="${padding.left + plotWidth}" y1="${y(
+        baseline
+      )}" y2="${y(
+        baseline
+      )}" stroke="#667eea" stroke-dasharray="4 3"><title>Baseline: ${baseline}</title></line>`
+    );
+  }
+
+  if (0 === values.length) {
+    parts.push(
+      `<text x="${width / 2}" y="${
+        height / 2
+      }" font-size="10" font-family="sans-serif" fill="#999" text-anchor="middle">No history yet</text>`
+    );
+  } else {
+    const last = values[values.length - 1].value;
+    const color = LINE_COLORS[scoreClass(last)];
+    const coords = values.map(
+      (p, i) => `${x(i).toFixed(1)},${y(p.value).toFixed(1)}`
+    );
+
+    parts.push(
+      `<polyline fill="none" stroke="${color}" stroke-width="2" points="${coords.join(
+        " "
+      )}"/>`
+    );
+    values.forEach((p, i) => {
+      parts.push(
+        `<circle cx="${x(i).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="${
+          compact ? 1.5 : 2.5
+        }" fill="${color}"><title>${formatDate(p.timestamp)}: ${
+          p.value
+        }</title></circle>`
+      );
+    });
+
+    if (!compact) {
+      parts.push(
+        `<text x="${padding.left}" y="${
+          height - 6
+        }" font-size="9" font-family="sans-serif" fill="#999">${formatDate(
+          values[0].timestamp
+        )}</text>`,
+        `<text x="${padding.left + plotWidth}" y="${
+          height - 6
+        }" font-size="9" font-family="sans-serif" fill="#999" text-anchor="end">${formatDate(
+          values[values.length - 1].timestamp
+        )}</text>`
+      );
+    }
+  }
+
+  parts.push("</svg>");
+  return parts.join("");
+}
+
+module.exports = { renderTrendChart, escapeXml };
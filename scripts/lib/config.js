@@ -0,0 +1,46 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const ROOT_DIR = path.join(__dirname, "..", "..");
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, "pagespeed.config.json");
+
+// Config keys holding paths; relative values are resolved against the
+// directory of the config file, not the working directory.
+const PATH_KEYS = ["urlsFile", "budgetsFile", "outputDir"];
+
+// Loads pagespeed.config.json (or the file given with --config). A missing
+// default file is fine; a missing file that was asked for explicitly is not.
+async function loadConfig(file = null) {
+  const configFile = file ? path.resolve(file) : DEFAULT_CONFIG_FILE;
+
+  if (!(await fs.pathExists(configFile))) {
+    if (file) throw new Error(`Config file not found: ${configFile}`);
+    return {};
+  }
+
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(configFile, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid config file ${configFile}: ${error.message}`);
+  }
+
+  const configDir = path.dirname(configFile);
+  const resolvePaths = (settings) => {
+    for (const key of PATH_KEYS) {
+      if (settings[key]) settings[key] = path.resolve(configDir, settings[key]);
+    }
+  };
+  resolvePaths(config);
+  // Projects, see lib/projects.js
+  for (const project of Object.values(config.projects || {})) {
+    if (project && "object" === typeof project) resolvePaths(project);
+  }
+  // Custom reporter modules, { name: path }
+  for (const [name, file] of Object.entries(config.customReporters || {})) {
+    config.customReporters[name] = path.resolve(configDir, file);
+  }
+  return config;
+}
+
+module.exports = { ROOT_DIR, DEFAULT_CONFIG_FILE, loadConfig };
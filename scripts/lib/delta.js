@@ -0,0 +1,76 @@
+const { CATEGORIES } = require("./categories");
+const { diffMetrics } = require("./metrics");
+const { diffAudits } = require("./audits");
+const { summarize } = require("./stats");
+const { diffResources } = require("./resources");
+const { diffThirdParty } = require("./third-party");
+const { compareEnvironments } = require("./environment");
+
+// Run-to-run spread of one category. Older result files have no stats
+// block, so fall back to their raw runs.
+function categorySpread(result, key) {
+  if (result.stats && result.stats[key]) return result.stats[key].stddev;
+  const values = (result.rawResults || [])
+    .filter((r) => !r.outlier)
+    .map((r) => r[key])
+    .filter((value) => "number" === typeof value);
+  return values.length > 1 ? summarize(values).stddev : 0;
+}
+
+// Change of every category, metric and failing audit against the baseline.
+// Shared by the per-URL reports, budgets, notifications and the dashboard.
+// `environment` lists why the two may not be comparable, see
+// lib/environment.js; options: { benchmarkTolerance }.
+function calculateDelta(current, baseline, options = {}) {
+  if (!baseline) return null;
+
+  const delta = {};
+  const noise = {};
+  const significant = {};
+  for (const { key } of CATEGORIES) {
+    if (null == current[key] || null == baseline[key]) {
+      delta[key] = null;
+      noise[key] = null;
+      significant[key] = false;
+      continue;
+    }
+    delta[key] = current[key] - baseline[key];
+    // Combined spread of both sides: a change smaller than that is
+    // indistinguishable from run-to-run variance.
+    noise[key] =
+      Math.round(
+        Math.hypot(
+          categorySpread(current, key),
+          categorySpread(baseline, key)
+        ) * 10
+      ) / 10;
+    significant[key] = Math.abs(delta[key]) > noise[key];
+  }
+
+  return {
+    ...delta,
+    noise,
+    significant,
+    metrics: diffMetrics(current.metrics, baseline.metrics),
+    audits: diffAudits(current.audits, baseline.audits),
+    resources: diffResources(current.resources, baseline.resources),
+    thirdParty: diffThirdParty(current.thirdParty, baseline.thirdParty),
+    environment: compareEnvironments(
+      current.environment,
+      baseline.environment,
+      { tolerance: options.benchmarkTolerance }
+    ),
+    ...(current.steps ? { steps: stepDeltas(current, baseline, options) } : {}),
+  };
+}
+
+// User flow steps are matched by name, so reordering or adding steps keeps
+// the comparison of the others; a new step has no baseline (null).
+function stepDeltas(current, baseline, options) {
+  return current.steps.map((step) => {
+    const base = (baseline.steps || []).find((s) => s.name === step.name);
+    return calculateDelta(step, base, options);
+  });
+}
+
+module.exports = { categorySpread, calculateDelta };
@@ -0,0 +1,143 @@
+const crypto = require("crypto");
+
+// Rules that turn the URLs of a sitemap into urls.json entries:
+//
+//   "include": ["/docs/**"], "exclude": ["re:\\?"],
+//   "sample": { "/blog/*": 3 }
+//
+// Patterns starting with "re:" are regular expressions tested against the
+// full URL. Anything else is a glob: against the path when it starts with
+// "/", otherwise against the full URL. "*" matches within one path segment,
+// "**" across segments, and a trailing slash is optional either way.
+
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if ("*" === char && "*" === glob[i + 1]) {
+      source += ".*";
+      i++;
+    } else if ("*" === char) {
+      source += "[^/]*";
+    } else if ("?" === char) {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source.replace(/\/$/, "")}/?$`);
+}
+
+function compilePattern(pattern) {
+  if (pattern.startsWith("re:")) {
+    let regExp;
+    try {
+      regExp = new RegExp(pattern.slice(3));
+    } catch (error) {
+      throw new Error(`Invalid pattern "${pattern}": ${error.message}`);
+    }
+    return (url) => regExp.test(url);
+  }
+  const regExp = globToRegExp(pattern);
+  if (pattern.startsWith("/")) {
+    return (url) => {
+      const { pathname } = new URL(url);
+      return regExp.test(pathname);
+    };
+  }
+  return (url) => regExp.test(url);
+}
+
+// --sample <pattern>=<n>; the count is after the last "=" so regular
+// expressions may contain one
+function parseSampleRule(value) {
+  const at = value.lastIndexOf("=");
+  const pattern = value.slice(0, at).trim();
+  const count = Number(value.slice(at + 1));
+  if (at < 1 || !pattern || !Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid sample rule "${value}" (expected <pattern>=<n>)`);
+  }
+  return [pattern, count];
+}
+
+// The sample of a pattern is the `count` URLs with the lowest hash. A URL
+// keeps its place when the sitemap grows unless a new URL hashes lower, so
+// repeated discovery doesn't reshuffle the measured pages (and their
+// history) every time.
+function stableSample(urls, count, seed = "") {
+  const hash = (url) =>
+    crypto.createHash("sha1").update(`${seed}${url}`).digest("hex");
+  const picked = new Set(
+    urls
+      .map((url) => ({ url, hash: hash(url) }))
+      .sort((a, b) => a.hash.localeCompare(b.hash))
+      .slice(0, count)
+      .map(({ url }) => url)
+  );
+  return urls.filter((url) => picked.has(url));
+}
+
+// Filters and samples discovered URLs, keeping sitemap order. A URL is
+// sampled by the first sample pattern it matches; URLs matching none are all
+// kept.
+function selectUrls(urls, rules = {}) {
+  const { include = [], exclude = [], sample = {}, seed = "" } = rules;
+  const included = include.map(compilePattern);
+  const excluded = exclude.map(compilePattern);
+  const filtered = urls.filter(
+    (url) =>
+      (0 === included.length || included.some((matches) => matches(url))) &&
+      !excluded.some((matches) => matches(url))
+  );
+
+  const groups = Object.entries(sample).map(([pattern, count]) => ({
+    matches: compilePattern(pattern),
+    count,
+    urls: [],
+  }));
+  const selected = new Set();
+  for (const url of filtered) {
+    const group = groups.find(({ matches }) => matches(url));
+    if (group) group.urls.push(url);
+    else selected.add(url);
+  }
+  for (const group of groups) {
+    for (const url of stableSample(group.urls, group.count, seed)) {
+      selected.add(url);
+    }
+  }
+  return {
+    filtered,
+    selected: filtered.filter((url) => selected.has(url)),
+  };
+}
+
+// Merges discovered URLs into the raw urls.json array. Existing entries are
+// kept as they are, labels and settings included; new URLs are appended as
+// plain strings, or as { url, group } when a group is given. With `replace`
+// entries no longer discovered are dropped.
+function mergeUrlEntries(data, urls, { replace = false, group = null } = {}) {
+  const urlOf = (entry) => ("string" === typeof entry ? entry : entry.url);
+  const discovered = new Set(urls);
+  const existing = new Set(data.map(urlOf));
+
+  const kept = replace
+    ? data.filter((entry) => discovered.has(urlOf(entry)))
+    : data;
+  const added = urls.filter((url) => !existing.has(url));
+  const removed = data.filter((entry) => !kept.includes(entry)).map(urlOf);
+
+  return {
+    entries: [...kept, ...added.map((url) => (group ? { url, group } : url))],
+    added,
+    removed,
+  };
+}
+
+module.exports = {
+  compilePattern,
+  parseSampleRule,
+  stableSample,
+  selectUrls,
+  mergeUrlEntries,
+};
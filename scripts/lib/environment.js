@@ -0,0 +1,200 @@
+const { median } = require("./stats");
+
+// Where a result was measured: Lighthouse and Chrome version, emulated
+// device, throttling and Lighthouse's benchmarkIndex, a rough score of the
+// machine's CPU speed. Scores from different environments aren't
+// comparable, so deltas across them are flagged. Limits for the machine go
+// in the config file:
+//
+//   "environment": {
+//     "benchmarkTolerance": 0.2,
+//     "benchmarkIndex": { "min": 1000, "max": 2500, "action": "reject" }
+//   }
+//
+// "warn" (the default action) only flags runs on a machine outside the
+// range, "reject" fails them, and "normalize" scales the CPU throttling so
+// the emulated device is as fast as on a machine in the middle of the range.
+
+const DEFAULT_BENCHMARK_TOLERANCE = 0.2;
+const BENCHMARK_ACTIONS = ["warn", "reject", "normalize"];
+const THROTTLING_KEYS = [
+  "rttMs",
+  "throughputKbps",
+  "requestLatencyMs",
+  "downloadThroughputKbps",
+  "uploadThroughputKbps",
+  "cpuSlowdownMultiplier",
+];
+
+function environmentConfig(options = {}) {
+  const config = options.environment || {};
+  const tolerance =
+    undefined !== config.benchmarkTolerance
+      ? config.benchmarkTolerance
+      : DEFAULT_BENCHMARK_TOLERANCE;
+  if ("number" !== typeof tolerance || tolerance < 0) {
+    throw new Error("environment.benchmarkTolerance must be a number >= 0");
+  }
+
+  let range = null;
+  if (config.benchmarkIndex) {
+    const { min = 0, max = Infinity, action = "warn" } = config.benchmarkIndex;
+    if (
+      "number" !== typeof min ||
+      "number" !== typeof max ||
+      min > max ||
+      !BENCHMARK_ACTIONS.includes(action)
+    ) {
+      throw new Error(
+        `environment.benchmarkIndex needs min <= max and an action of: ${BENCHMARK_ACTIONS.join(
+          ", "
+        )}`
+      );
+    }
+    if ("normalize" === action && !Number.isFinite(max)) {
+      throw new Error("environment.benchmarkIndex: normalize needs a max");
+    }
+    range = { min, max, action };
+  }
+  return { tolerance, range };
+}
+
+const chromeVersion = (userAgent) => {
+  const match = /(?:Chrome|HeadlessChrome)\/([\d.]+)/.exec(userAgent || "");
+  return match ? match[1] : null;
+};
+
+function extractEnvironment(lhr) {
+  const environment = lhr.environment || {};
+  const settings = lhr.configSettings || {};
+  const throttling = settings.throttling || {};
+  return {
+    lighthouseVersion: lhr.lighthouseVersion || null,
+    chromeVersion: chromeVersion(environment.hostUserAgent || lhr.userAgent),
+    userAgent: environment.hostUserAgent || lhr.userAgent || null,
+    formFactor: settings.formFactor || null,
+    throttlingMethod: settings.throttlingMethod || null,
+    throttling: Object.fromEntries(
+      THROTTLING_KEYS.filter((key) => undefined !== throttling[key]).map(
+        (key) => [key, throttling[key]]
+      )
+    ),
+    benchmarkIndex:
+      "number" === typeof environment.benchmarkIndex
+        ? Math.round(environment.benchmarkIndex)
+        : null,
+  };
+}
+
+// The environment of the first run, with the median benchmark of all runs
+// and their range
+function aggregateEnvironment(runs) {
+  const environments = runs.map((r) => r.environment).filter(Boolean);
+  if (0 === environments.length) return null;
+
+  const benchmarks = environments
+    .map((e) => e.benchmarkIndex)
+    .filter((value) => "number" === typeof value);
+  return {
+    ...environments[0],
+    benchmarkIndex:
+      benchmarks.length > 0 ? Math.round(median(benchmarks)) : null,
+    benchmarkRange:
+      benchmarks.length > 1
+        ? [Math.min(...benchmarks), Math.max(...benchmarks)]
+        : undefined,
+  };
+}
+
+// null when the benchmark is within the range or there is none
+function checkBenchmark(environment, range) {
+  if (!range || !environment || null == environment.benchmarkIndex) {
+    return null;
+  }
+  const { benchmarkIndex } = environment;
+  if (benchmarkIndex < range.min) {
+    return `benchmark index ${benchmarkIndex} is below the minimum of ${range.min}`;
+  }
+  if (benchmarkIndex > range.max) {
+    return `benchmark index ${benchmarkIndex} is above the maximum of ${range.max}`;
+  }
+  return null;
+}
+
+// CPU throttling that makes a machine with this benchmark behave like one
+// in the middle of the range: a slower machine gets less throttling
+function calibrateCpuSlowdown(multiplier, benchmarkIndex, range) {
+  const reference = (range.min + range.max) / 2;
+  return (
+    Math.round(Math.max(1, (multiplier * benchmarkIndex) / reference) * 10) / 10
+  );
+}
+
+const major = (version) => (version ? version.split(".")[0] : null);
+const minor = (version) =>
+  version ? version.split(".").slice(0, 2).join(".") : null;
+
+// Reasons why the two results aren't comparable, [] when they are. Results
+// saved before environments were recorded are never flagged.
+function compareEnvironments(current, baseline, options = {}) {
+  if (!current || !baseline) return [];
+  const { tolerance = DEFAULT_BENCHMARK_TOLERANCE } = options;
+  const warnings = [];
+  const differs = (a, b) => a && b && a !== b;
+
+  if (
+    differs(minor(current.lighthouseVersion), minor(baseline.lighthouseVersion))
+  ) {
+    warnings.push(
+      `Lighthouse ${baseline.lighthouseVersion} → ${current.lighthouseVersion}`
+    );
+  }
+  if (differs(major(current.chromeVersion), major(baseline.chromeVersion))) {
+    warnings.push(
+      `Chrome ${baseline.chromeVersion} → ${current.chromeVersion}`
+    );
+  }
+  if (differs(current.formFactor, baseline.formFactor)) {
+    warnings.push(`form factor ${baseline.formFactor} → ${current.formFactor}`);
+  }
+  if (differs(current.throttlingMethod, baseline.throttlingMethod)) {
+    warnings.push(
+      `throttling method ${baseline.throttlingMethod} → ${current.throttlingMethod}`
+    );
+  }
+  // A calibrated CPU slowdown differs on purpose, see calibrateCpuSlowdown()
+  const calibrated = current.calibrated || baseline.calibrated;
+  for (const key of THROTTLING_KEYS) {
+    if (calibrated && "cpuSlowdownMultiplier" === key) continue;
+    const a = (baseline.throttling || {})[key];
+    const b = (current.throttling || {})[key];
+    if (undefined !== a && undefined !== b && a !== b) {
+      warnings.push(`throttling ${key} ${a} → ${b}`);
+    }
+  }
+  if (
+    !calibrated &&
+    current.benchmarkIndex &&
+    baseline.benchmarkIndex &&
+    Math.abs(current.benchmarkIndex / baseline.benchmarkIndex - 1) > tolerance
+  ) {
+    const change = Math.round(
+      (current.benchmarkIndex / baseline.benchmarkIndex - 1) * 100
+    );
+    warnings.push(
+      `machine benchmark ${baseline.benchmarkIndex} → ${
+        current.benchmarkIndex
+      } (${change > 0 ? "+" : ""}${change}%)`
+    );
+  }
+  return warnings;
+}
+
+module.exports = {
+  environmentConfig,
+  extractEnvironment,
+  aggregateEnvironment,
+  checkBenchmark,
+  calibrateCpuSlowdown,
+  compareEnvironments,
+};
@@ -0,0 +1,134 @@
+// Classification of failed Lighthouse runs. The type is stored in the result
+// JSON and shown in the reports, so a URL that could not be measured is
+// visible instead of silently dropping out of latest/.
+
+const FAILURE_TYPES = {
+  navigation: "Navigation / DNS error",
+  "http-status": "HTTP error status",
+  "chrome-crash": "Chrome crashed",
+  timeout: "Timed out",
+  "runtime-error": "Lighthouse runtime error",
+  benchmark: "Machine benchmark out of range",
+  unknown: "Unknown error",
+};
+
+// Lighthouse runtimeError codes (lhr.runtimeError.code, or error.code when
+// Lighthouse throws) that mean the page itself could not be loaded
+const NAVIGATION_CODES = [
+  "DNS_FAILURE",
+  "FAILED_DOCUMENT_REQUEST",
+  "INSECURE_DOCUMENT_REQUEST",
+  "CHROME_INTERSTITIAL_ERROR",
+  "NOT_HTML",
+];
+
+class RunFailure extends Error {
+  constructor(type, message, { code = null, status = null } = {}) {
+    super(message);
+    this.name = "RunFailure";
+    this.type = type;
+    this.code = code;
+    this.status = status;
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      code: this.code,
+      status: this.status,
+      message: this.message,
+    };
+  }
+}
+
+function classifyRuntimeError({ code, message = "" }) {
+  if ("ERRORED_DOCUMENT_REQUEST" === code) {
+    const match = message.match(/status code:?\s*(\d{3})/i);
+    return new RunFailure("http-status", message, {
+      code,
+      status: match ? Number(match[1]) : null,
+    });
+  }
+  if (NAVIGATION_CODES.includes(code)) {
+    return new RunFailure("navigation", message, { code });
+  }
+  if ("TARGET_CRASHED" === code) {
+    return new RunFailure("chrome-crash", message, { code });
+  }
+  return new RunFailure("runtime-error", message || code, { code });
+}
+
+function classifyError(error) {
+  if (error instanceof RunFailure) return error;
+
+  const message = (error && error.message) || String(error);
+  // Lighthouse's own errors carry a runtimeError code such as NO_FCP; Node's
+  // (ENOTFOUND, ERR_INVALID_URL, ...) are matched by their message below
+  const code = (error && error.code) || "";
+  if (/^[A-Z]+_[A-Z_]+$/.test(code) && !code.startsWith("ERR_")) {
+    return classifyRuntimeError({
+      code,
+      message: error.friendlyMessage || message,
+    });
+  }
+  if (/ERR_NAME_NOT_RESOLVED|ENOTFOUND|EAI_AGAIN/.test(message)) {
+    return new RunFailure("navigation", message, { code: "DNS_FAILURE" });
+  }
+  if (/net::ERR_/.test(message)) {
+    return new RunFailure("navigation", message);
+  }
+  if (
+    /Target closed|Session closed|disconnected|ECONNREFUSED|ECONNRESET|crash/i.test(
+      message
+    )
+  ) {
+    return new RunFailure("chrome-crash", message);
+  }
+  return new RunFailure("unknown", message);
+}
+
+// Client errors (404, 403, ...) will not go away by retrying
+function isRetryable(failure) {
+  return !(
+    "http-status" === failure.type &&
+    failure.status &&
+    failure.status < 500
+  );
+}
+
+// After a crash or a hung run the browser is in an unknown state
+function needsRestart(failure) {
+  return ["chrome-crash", "timeout"].includes(failure.type);
+}
+
+// Lighthouse runs cannot be cancelled; a timed-out run is abandoned (and
+// its browser restarted by the caller), so its late rejection is ignored.
+function withTimeout(promise, ms) {
+  if (!ms) return promise;
+  let timer;
+  promise.catch(() => {});
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(
+            new RunFailure("timeout", `No result after ${ms / 1000}s`, {
+              code: "RUN_TIMEOUT",
+            })
+          ),
+        ms
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  FAILURE_TYPES,
+  RunFailure,
+  classifyRuntimeError,
+  classifyError,
+  isRetryable,
+  needsRestart,
+  withTimeout,
+};
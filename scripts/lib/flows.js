@@ -0,0 +1,217 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// Scripted user flows, run through Lighthouse's user-flow mode. A flow file
+// (referenced by "flow" in urls.json) lists steps:
+//
+//   { "name": "Sign up", "steps": [
+//     { "action": "navigate", "name": "Landing page" },
+//     { "action": "startTimespan", "name": "Fill in form" },
+//     { "action": "type", "selector": "#email", "textFromEnv": "EMAIL" },
+//     { "action": "click", "selector": "button[type=submit]" },
+//     { "action": "waitForSelector", "selector": ".confirmation" },
+//     { "action": "endTimespan" },
+//     { "action": "snapshot", "name": "Confirmation" } ] }
+//
+// navigate, timespans and snapshot produce measured steps; the others are
+// interactions. A navigate without "url" opens the entry's URL, and one
+// with "measure": false just loads the page, e.g. a login form.
+
+const STEP_FIELDS = {
+  navigate: [],
+  click: ["selector"],
+  type: ["selector"],
+  waitForSelector: ["selector"],
+  setCookies: ["cookies"],
+  setLocalStorage: ["items"],
+  startTimespan: [],
+  endTimespan: [],
+  snapshot: [],
+};
+
+// Default names of measured steps, numbered by position
+const STEP_NAMES = {
+  navigate: "Navigation",
+  startTimespan: "Timespan",
+  snapshot: "Snapshot",
+};
+
+const DEFAULT_WAIT_TIMEOUT = 30000;
+
+class FlowError extends Error {
+  constructor(file, errors) {
+    super(
+      `Invalid flow ${file}:\n${errors
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+    this.name = "FlowError";
+    this.errors = errors;
+  }
+}
+
+const isStringMap = (value) =>
+  null !== value &&
+  "object" === typeof value &&
+  !Array.isArray(value) &&
+  Object.values(value).every((v) => "string" === typeof v);
+
+// Validates the flow and names every measured step. Names identify a step
+// in the baseline, so they must be unique; unnamed steps get one from their
+// URL or position.
+function parseFlow(data, file) {
+  const steps = data && data.steps;
+  if (!Array.isArray(steps) || 0 === steps.length) {
+    throw new FlowError(file, [
+      "expected an object with a non-empty steps array",
+    ]);
+  }
+
+  const errors = [];
+  const names = new Set();
+  let inTimespan = false;
+  let measured = 0;
+  const parsed = steps.map((step, index) => {
+    const where = `step ${index}`;
+    const fields = step && STEP_FIELDS[step.action];
+    if (!fields) {
+      errors.push(
+        `${where}: unknown action "${
+          step && step.action
+        }" (expected one of: ${Object.keys(STEP_FIELDS).join(", ")})`
+      );
+      return step;
+    }
+    for (const field of fields.filter((f) => undefined === step[f])) {
+      errors.push(`${where}: ${step.action} needs "${field}"`);
+    }
+    if (
+      "type" === step.action &&
+      undefined === (step.text ?? step.textFromEnv)
+    ) {
+      errors.push(`${where}: type needs "text" or "textFromEnv"`);
+    }
+    if ("setCookies" === step.action && !isStringMap(step.cookies)) {
+      errors.push(`${where}: cookies must be an object of string values`);
+    }
+    if ("setLocalStorage" === step.action && !isStringMap(step.items)) {
+      errors.push(`${where}: items must be an object of string values`);
+    }
+    if ("startTimespan" === step.action) {
+      if (inTimespan) errors.push(`${where}: timespan already started`);
+      inTimespan = true;
+    }
+    if ("endTimespan" === step.action) {
+      if (!inTimespan) errors.push(`${where}: no timespan to end`);
+      inTimespan = false;
+      return step;
+    }
+
+    const isMeasured =
+      ("navigate" === step.action && false !== step.measure) ||
+      ["startTimespan", "snapshot"].includes(step.action);
+    if (!isMeasured) return step;
+    if (inTimespan && "startTimespan" !== step.action) {
+      errors.push(
+        `${where}: ${step.action} cannot be measured inside a timespan`
+      );
+    }
+
+    measured++;
+    const name =
+      step.name ||
+      ("navigate" === step.action && step.url
+        ? new URL(step.url).pathname
+        : `${STEP_NAMES[step.action]} ${measured}`);
+    if (names.has(name)) errors.push(`${where}: duplicate step name "${name}"`);
+    names.add(name);
+    return { ...step, name };
+  });
+  if (inTimespan) errors.push("timespan started but never ended");
+  if (0 === measured) {
+    errors.push("no measured step (navigate, timespan or snapshot)");
+  }
+  if (errors.length > 0) throw new FlowError(file, errors);
+
+  return { name: data.name, steps: parsed };
+}
+
+async function loadFlow(file) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Error loading flow ${file}: ${error.message}`);
+  }
+  return parseFlow(data, path.basename(file));
+}
+
+// Plays the steps against a Puppeteer page inside a Lighthouse user flow.
+// Storage set by the flow would be wiped by Lighthouse's storage reset on
+// navigation, so flows that set any keep storage across navigations.
+async function runFlowSteps(userFlow, page, flow, startUrl) {
+  const keepsStorage = flow.steps.some((step) =>
+    ["setCookies", "setLocalStorage"].includes(step.action)
+  );
+
+  for (const step of flow.steps) {
+    const url = step.url || startUrl;
+    switch (step.action) {
+      case "navigate":
+        if (false === step.measure) {
+          await page.goto(url, { waitUntil: "networkidle2" });
+        } else {
+          await userFlow.navigate(url, {
+            name: step.name,
+            disableStorageReset: keepsStorage,
+          });
+        }
+        break;
+      case "click":
+        await page.click(step.selector);
+        break;
+      case "type":
+        await page.type(
+          step.selector,
+          step.textFromEnv ? process.env[step.textFromEnv] || "" : step.text
+        );
+        break;
+      case "waitForSelector":
+        await page.waitForSelector(step.selector, {
+          timeout: step.timeout || DEFAULT_WAIT_TIMEOUT,
+        });
+        break;
+      case "setCookies":
+        await page.setCookie(
+          ...Object.entries(step.cookies).map(([name, value]) => ({
+            name,
+            value,
+            url,
+          }))
+        );
+        break;
+      case "setLocalStorage":
+        // localStorage belongs to an origin, so the page has to be on it
+        if (new URL(page.url()).origin !== new URL(url).origin) {
+          await page.goto(url, { waitUntil: "domcontentloaded" });
+        }
+        await page.evaluate((items) => {
+          for (const [key, value] of Object.entries(items)) {
+            localStorage.setItem(key, value);
+          }
+        }, step.items);
+        break;
+      case "startTimespan":
+        await userFlow.startTimespan({ name: step.name });
+        break;
+      case "endTimespan":
+        await userFlow.endTimespan();
+        break;
+      case "snapshot":
+        await userFlow.snapshot({ name: step.name });
+        break;
+    }
+  }
+}
+
+module.exports = { FlowError, parseFlow, loadFlow, runFlowSteps };
@@ -0,0 +1,65 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// How many runs the trend charts show by default.
+const DEFAULT_HISTORY_LIMIT = 30;
+
+// Append-only run history: one JSON Lines file per result key, one line per
+// run. Lines are never rewritten, so the files diff cleanly in git.
+class HistoryStore {
+  constructor(historyDir) {
+    this.historyDir = historyDir;
+  }
+
+  fileFor(key) {
+    return path.join(this.historyDir, `${key}.jsonl`);
+  }
+
+  // Raw per-run results and audit lists are left out to keep the history
+  // small; the latest/ and baseline/ files still have them.
+  toRecord(result, type) {
+    const { rawResults, audits, budget, steps, ...record } = result;
+    return {
+      ...record,
+      ...(steps ? { steps: steps.map(({ audits, ...step }) => step) } : {}),
+      type,
+      budget: budget ? budget.status : undefined,
+    };
+  }
+
+  async append(key, result, type = "latest") {
+    await fs.ensureDir(this.historyDir);
+    await fs.appendFile(
+      this.fileFor(key),
+      JSON.stringify(this.toRecord(result, type)) + "\n"
+    );
+  }
+
+  // Every result key with a history file
+  async keys() {
+    if (!(await fs.pathExists(this.historyDir))) return [];
+    return (await fs.readdir(this.historyDir))
+      .filter((file) => file.endsWith(".jsonl"))
+      .map((file) => file.slice(0, -".jsonl".length))
+      .sort();
+  }
+
+  async load(key, limit = DEFAULT_HISTORY_LIMIT) {
+    const file = this.fileFor(key);
+    if (!(await fs.pathExists(file))) return [];
+
+    const records = [];
+    const lines = (await fs.readFile(file, "utf8")).split("\n");
+    for (const line of lines.filter((l) => l.trim())) {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping corrupt history line in ${file}`);
+      }
+    }
+
+    return limit ? records.slice(-limit) : records;
+  }
+}
+
+module.exports = { HistoryStore, DEFAULT_HISTORY_LIMIT };
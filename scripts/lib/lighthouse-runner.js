@@ -0,0 +1,90 @@
+// Runs Lighthouse through its Node API against a Chrome instance that stays
+// up for the lifetime of the runner, instead of cold-starting npx and Chrome
+// for every run. Lighthouse and chrome-launcher are ES modules, hence the
+// dynamic imports.
+
+const { runFlowSteps } = require("./flows");
+
+const DEFAULT_CHROME_FLAGS = ["--headless=new", "--no-sandbox"];
+
+class LighthouseRunner {
+  constructor({ chromeFlags = DEFAULT_CHROME_FLAGS } = {}) {
+    this.chromeFlags = chromeFlags;
+    this.chrome = null;
+  }
+
+  async start() {
+    if (this.chrome) return;
+    const { launch } = await import("chrome-launcher");
+    this.chrome = await launch({ chromeFlags: this.chromeFlags });
+  }
+
+  // settings: { onlyCategories, extraHeaders, overrides } where overrides
+  // are merged into the Lighthouse config settings of this run.
+  async run(url, settings = {}) {
+    if (!this.chrome) await this.start();
+
+    const { default: lighthouse } = await import("lighthouse");
+    const flags = {
+      port: this.chrome.port,
+      output: "json",
+      logLevel: "error",
+    };
+    if (settings.onlyCategories) flags.onlyCategories = settings.onlyCategories;
+    if (settings.extraHeaders) flags.extraHeaders = settings.extraHeaders;
+
+    const config = settings.overrides
+      ? { extends: "lighthouse:default", settings: settings.overrides }
+      : undefined;
+
+    const runnerResult = await lighthouse(url, flags, config);
+
+    if (!runnerResult || !runnerResult.lhr) {
+      throw new Error("Lighthouse returned no result");
+    }
+    return runnerResult.lhr;
+  }
+
+  // Plays a flow script (see lib/flows.js) in a new tab of the same Chrome
+  // through Puppeteer and returns Lighthouse's flow result: { name, steps }
+  // with an LHR per measured step.
+  async runFlow(url, flow, settings = {}) {
+    if (!this.chrome) await this.start();
+
+    const { startFlow } = await import("lighthouse");
+    const puppeteer = require("puppeteer-core");
+    const browser = await puppeteer.connect({
+      browserURL: `http://127.0.0.1:${this.chrome.port}`,
+    });
+    const page = await browser.newPage();
+    try {
+      if (settings.extraHeaders) {
+        await page.setExtraHTTPHeaders(settings.extraHeaders);
+      }
+      const userFlow = await startFlow(page, {
+        name: flow.name,
+        config: {
+          extends: "lighthouse:default",
+          settings: {
+            ...settings.overrides,
+            onlyCategories: settings.onlyCategories,
+          },
+        },
+        flags: { logLevel: "error" },
+      });
+      await runFlowSteps(userFlow, page, flow, url);
+      return await userFlow.createFlowResult();
+    } finally {
+      await page.close().catch(() => {});
+      await browser.disconnect();
+    }
+  }
+
+  async stop() {
+    if (!this.chrome) return;
+    await this.chrome.kill();
+    this.chrome = null;
+  }
+}
+
+module.exports = { LighthouseRunner };
@@ -0,0 +1,126 @@
+// Lab metrics pulled from `result.audits`. Thresholds are the good /
+// needs-improvement boundaries Lighthouse and web.dev use; lower is better
+// for every metric here.
+const METRICS = [
+  {
+    key: "lcp",
+    audit: "largest-contentful-paint",
+    label: "Largest Contentful Paint",
+    unit: "ms",
+    thresholds: [2500, 4000],
+  },
+  {
+    key: "cls",
+    audit: "cumulative-layout-shift",
+    label: "Cumulative Layout Shift",
+    unit: "unitless",
+    thresholds: [0.1, 0.25],
+  },
+  {
+    key: "tbt",
+    audit: "total-blocking-time",
+    label: "Total Blocking Time",
+    unit: "ms",
+    thresholds: [200, 600],
+  },
+  {
+    key: "fcp",
+    audit: "first-contentful-paint",
+    label: "First Contentful Paint",
+    unit: "ms",
+    thresholds: [1800, 3000],
+  },
+  {
+    key: "speedIndex",
+    audit: "speed-index",
+    label: "Speed Index",
+    unit: "ms",
+    thresholds: [3400, 5800],
+  },
+  {
+    key: "tti",
+    audit: "interactive",
+    label: "Time to Interactive",
+    unit: "ms",
+    thresholds: [3800, 7300],
+  },
+  {
+    key: "totalByteWeight",
+    audit: "total-byte-weight",
+    label: "Total Byte Weight",
+    unit: "bytes",
+    thresholds: [1600 * 1024, 4000 * 1024],
+  },
+];
+
+const roundMetric = (metric, value) =>
+  "unitless" === metric.unit
+    ? Math.round(value * 1000) / 1000
+    : Math.round(value);
+
+function extractMetrics(audits = {}) {
+  const metrics = {};
+  for (const metric of METRICS) {
+    const value = audits[metric.audit]?.numericValue;
+    metrics[metric.key] =
+      "number" === typeof value ? roundMetric(metric, value) : null;
+  }
+  return metrics;
+}
+
+// Runs where Lighthouse could not compute a metric are left out of that
+// metric's aggregate instead of counting as zero.
+function aggregateMetrics(results, aggregate) {
+  const metrics = {};
+  for (const metric of METRICS) {
+    const values = results
+      .map((r) => (r.metrics ? r.metrics[metric.key] : null))
+      .filter((value) => "number" === typeof value);
+    metrics[metric.key] =
+      values.length > 0 ? roundMetric(metric, aggregate(values)) : null;
+  }
+  return metrics;
+}
+
+function diffMetrics(current = {}, baseline = {}) {
+  const delta = {};
+  for (const metric of METRICS) {
+    const a = current[metric.key];
+    const b = baseline[metric.key];
+    delta[metric.key] =
+      "number" === typeof a && "number" === typeof b
+        ? roundMetric(metric, a - b)
+        : null;
+  }
+  return delta;
+}
+
+function rateMetric(metric, value) {
+  if ("number" !== typeof value) return "neutral";
+  if (value <= metric.thresholds[0]) return "good";
+  if (value <= metric.thresholds[1]) return "needs-improvement";
+  return "poor";
+}
+
+function formatMetricValue(metric, value) {
+  if ("number" !== typeof value) return "N/A";
+  if ("unitless" === metric.unit) return value.toFixed(3);
+  if ("bytes" === metric.unit) {
+    const kib = value / 1024;
+    return Math.abs(kib) >= 1024
+      ? `${(kib / 1024).toFixed(2)} MiB`
+      : `${Math.round(kib)} KiB`;
+  }
+  return Math.abs(value) >= 1000
+    ? `${(value / 1000).toFixed(2)} s`
+    : `${value} ms`;
+}
+
+module.exports = {
+  METRICS,
+  extractMetrics,
+  aggregateMetrics,
+  diffMetrics,
+  rateMetric,
+  formatMetricValue,
+};
@@ -0,0 +1,232 @@
+const { CATEGORIES } = require("./categories");
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_CHANGES_PER_URL = 5;
+
+// "${NAME}" in any string setting is replaced by the environment variable,
+// so webhook URLs and SMTP passwords can stay in CI secrets.
+function expandEnv(value) {
+  if ("string" === typeof value) {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) =>
+      undefined !== process.env[name] ? process.env[name] : ""
+    );
+  }
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && "object" === typeof value) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, expandEnv(v)])
+    );
+  }
+  return value;
+}
+
+// Slack reads &, < and > as markup: "<url|text>" links and "<!channel>"
+const escapeSlack = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const isAbsoluteUrl = (value) => /^https?:\/\/[^/]/.test(value);
+
+const formatChange = ({ label, baseline, current, delta }) =>
+  `${label} ${baseline} → ${current} (${delta > 0 ? "+" : ""}${delta})`;
+
+class Notifier {
+  // options: { targets, onlyOnRegression, minDelta, reportBaseUrl }
+  constructor(options = {}) {
+    this.targets = expandEnv(options.targets || []);
+    this.onlyOnRegression = Boolean(options.onlyOnRegression);
+    this.minDelta = undefined !== options.minDelta ? options.minDelta : 1;
+    // Messages are read far from the repository, so their report links
+    // need the published site, e.g. the GitHub Pages URL
+    this.reportBaseUrl = expandEnv(options.reportBaseUrl || "");
+    if (this.enabled && !isAbsoluteUrl(this.reportBaseUrl)) {
+      throw new Error(
+        "notifications.reportBaseUrl must be an absolute http(s) URL, e.g. https://<user>.github.io/<repo>/"
+      );
+    }
+    if (this.reportBaseUrl && !this.reportBaseUrl.endsWith("/")) {
+      this.reportBaseUrl += "/";
+    }
+  }
+
+  get enabled() {
+    return this.targets.length > 0;
+  }
+
+  // entries: [{ result, delta, reportFile }]. A category change counts when
+  // it is at least minDelta points and, where the run recorded its noise,
+  // larger than the run-to-run spread.
+  buildSummary(entries) {
+    const urls = entries.map(({ result, delta, reportFile }) => {
+      const changes = CATEGORIES.filter(
+        ({ key }) =>
+          delta &&
+          null !== delta[key] &&
+          Math.abs(delta[key]) >= this.minDelta &&
+          (!delta.significant || delta.significant[key])
+      ).map(({ key, label }) => ({
+        category: key,
+        label,
+        baseline: result[key] - delta[key],
+        current: result[key],
+        delta: delta[key],
+      }));
+
+      return {
+        url: result.url,
+        label: result.label || result.url,
+        profile: result.profile,
+        reportUrl: `${this.reportBaseUrl}${reportFile}`,
+        budget: result.budget ? result.budget.status : null,
+        // "partial" or "failed" when Lighthouse runs failed
+        status: result.status || "ok",
+        failedRuns: (result.failures || []).length,
+        regressions: changes
+          .filter((change) => change.delta < 0)
+          .sort((a, b) => a.delta - b.delta)
+          .slice(0, MAX_CHANGES_PER_URL),
+        improvements: changes
+          .filter((change) => change.delta > 0)
+          .sort((a, b) => b.delta - a.delta)
+          .slice(0, MAX_CHANGES_PER_URL),
+      };
+    });
+
+    return {
+      generatedAt: new Date().toISOString(),
+      totals: {
+        urls: urls.length,
+        regressions: urls.filter((u) => u.regressions.length > 0).length,
+        improvements: urls.filter((u) => u.improvements.length > 0).length,
+        budgetFailures: urls.filter((u) => "fail" === u.budget).length,
+        measurementFailures: urls.filter((u) => "ok" !== u.status).length,
+      },
+      urls,
+    };
+  }
+
+  shouldNotify(summary) {
+    if (!this.onlyOnRegression) return true;
+    const { totals } = summary;
+    return (
+      totals.regressions > 0 ||
+      totals.budgetFailures > 0 ||
+      totals.measurementFailures > 0
+    );
+  }
+
+  formatText(summary, { link = (url, text) => `${text} <${url}>` } = {}) {
+    const { totals } = summary;
+    const lines = [
+      `PageSpeed run: ${totals.regressions} of ${totals.urls} URL(s) regressed, ${totals.improvements} improved, ${totals.budgetFailures} failing budgets`,
+    ];
+    if (totals.measurementFailures > 0) {
+      lines[0] += `, ${totals.measurementFailures} not fully measured`;
+    }
+
+    for (const entry of summary.urls) {
+      if (
+        0 === entry.regressions.length &&
+        0 === entry.improvements.length &&
+        "fail" !== entry.budget &&
+        "ok" === entry.status
+      ) {
+        continue;
+      }
+      lines.push("");
+      lines.push(
+        `${link(entry.reportUrl, entry.label)} [${entry.profile}]${
+          entry.budget ? ` budget: ${entry.budget}` : ""
+        }`
+      );
+      if ("failed" === entry.status) {
+        lines.push("  ⚠ measurement failed");
+      } else if ("partial" === entry.status) {
+        lines.push(`  ⚠ ${entry.failedRuns} run(s) failed`);
+      }
+      for (const change of entry.regressions) {
+        lines.push(`  ▼ ${formatChange(change)}`);
+      }
+      for (const change of entry.improvements) {
+        lines.push(`  ▲ ${formatChange(change)}`);
+      }
+    }
+    return lines.join("\n");
+  }
+
+  formatSlack(summary) {
+    return {
+      text: this.formatText(summary, {
+        link: (url, text) => `<${url}|${escapeSlack(text)}>`,
+      }),
+    };
+  }
+
+  async post(url, body, headers = {}) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+  }
+
+  async sendMail(target, summary) {
+    // Only needed for SMTP targets, so it is loaded on demand
+    const nodemailer = require("nodemailer");
+    const transport = nodemailer.createTransport({
+      host: target.host,
+      port: target.port || 587,
+      secure: Boolean(target.secure),
+      auth: target.auth,
+    });
+    await transport.sendMail({
+      from: target.from,
+      to: target.to,
+      subject:
+        target.subject ||
+        `PageSpeed: ${summary.totals.regressions} regression(s), ${summary.totals.budgetFailures} budget failure(s)`,
+      text: this.formatText(summary),
+    });
+  }
+
+  async deliver(target, summary) {
+    switch (target.type) {
+      case "slack":
+        return this.post(target.url, this.formatSlack(summary));
+      case "webhook":
+        return this.post(target.url, summary, target.headers);
+      case "smtp":
+        return this.sendMail(target, summary);
+      default:
+        throw new Error(`Unknown notification type "${target.type}"`);
+    }
+  }
+
+  // Delivery problems are logged and swallowed: a broken webhook must never
+  // fail the measurement run. Returns the number of successful deliveries.
+  async notify(summary) {
+    if (!this.enabled) return 0;
+    if (!this.shouldNotify(summary)) {
+      console.log("No regressions; skipping notifications");
+      return 0;
+    }
+
+    let delivered = 0;
+    for (const target of this.targets) {
+      const name = target.name || target.type;
+      try {
+        await this.deliver(target, summary);
+        delivered++;
+        console.log(`Sent ${name} notification`);
+      } catch (error) {
+        console.warn(`⚠️  Could not send ${name} notification:`, error.message);
+      }
+    }
+    return delivered;
+  }
+}
+
+module.exports = { Notifier, expandEnv };
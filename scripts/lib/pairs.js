@@ -0,0 +1,81 @@
+const { normalizeEntry } = require("./url-config");
+
+// A/B pairs: two URLs measured side by side, e.g. staging against
+// production or a page against its redesign. "a" is the reference side and
+// takes the place of the baseline in the comparison report.
+
+// --pair <a>,<b>
+function parsePair(value) {
+  const urls = value.split(",").map((url) => url.trim());
+  if (2 !== urls.length || !urls.every(isHttpUrl)) {
+    throw new Error(`Invalid pair "${value}" (expected <url-a>,<url-b>)`);
+  }
+  return { a: urls[0], b: urls[1] };
+}
+
+// --rewrite-host <from>=<to>
+function parseHostRewrite(value) {
+  const [from, to, ...rest] = value.split("=").map((host) => host.trim());
+  if (!from || !to || rest.length > 0) {
+    throw new Error(
+      `Invalid host rewrite "${value}" (expected <from-host>=<to-host>)`
+    );
+  }
+  return { from, to };
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Only an exact host match is rewritten, so "redis.io" leaves
+// "docs.redis.io" alone
+function rewriteHost(url, { from, to }) {
+  const parsed = new URL(url);
+  if (parsed.host !== from) return null;
+  parsed.host = to;
+  return parsed.toString();
+}
+
+// Pairs given explicitly (--pair or "pairs" in the config file) reuse the
+// urls.json settings of URLs listed there. With a host rewrite, every
+// entry is paired with its rewritten URL and both sides share the entry's
+// settings, so headers and cookies apply to staging as well.
+function buildPairs({ entries, pairs = [], rewrite = null, defaults = {} }) {
+  const entryFor = (url) =>
+    entries.find((entry) => entry.url === url) || normalizeEntry(url, defaults);
+
+  if (rewrite) {
+    return entries
+      .map((entry) => {
+        const url = rewriteHost(entry.url, rewrite);
+        return url
+          ? { label: entry.label, a: entry, b: { ...entry, url } }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  return pairs.map((pair, index) => {
+    if (!pair || !isHttpUrl(pair.a) || !isHttpUrl(pair.b)) {
+      throw new Error(`pairs[${index}] needs "a" and "b" http(s) URLs`);
+    }
+    return {
+      label: pair.label,
+      a: entryFor(pair.a),
+      b: entryFor(pair.b),
+    };
+  });
+}
+
+module.exports = {
+  parsePair,
+  parseHostRewrite,
+  isHttpUrl,
+  rewriteHost,
+  buildPairs,
+};
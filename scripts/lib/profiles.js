@@ -0,0 +1,77 @@
+// Device / network profiles. "mobile" is Lighthouse's default emulation
+// (Moto G Power on slow 4G); "desktop" is Lighthouse's own desktop preset.
+// Custom profiles extend one of these and override config settings, e.g.
+//
+//   "customProfiles": {
+//     "mobile-3g": {
+//       "extends": "mobile",
+//       "settings": { "throttling": { "rttMs": 300, "throughputKbps": 700 } }
+//     }
+//   }
+
+const DEFAULT_PROFILE = "mobile";
+const BUILT_IN_PROFILES = ["mobile", "desktop"];
+
+async function builtInSettings(name) {
+  if ("desktop" === name) {
+    const { default: desktopConfig } = await import(
+      "lighthouse/core/config/desktop-config.js"
+    );
+    return { ...desktopConfig.settings };
+  }
+  return {};
+}
+
+// Shallow merge per settings key, except throttling and screenEmulation
+// which are merged field by field so a preset can change just the RTT.
+function mergeSettings(base, overrides = {}) {
+  const merged = { ...base, ...overrides };
+  for (const key of ["throttling", "screenEmulation"]) {
+    if (base[key] && overrides[key]) {
+      merged[key] = { ...base[key], ...overrides[key] };
+    }
+  }
+  return merged;
+}
+
+function validateProfiles(names, customProfiles = {}) {
+  for (const name of names) {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      throw new Error(
+        `Invalid profile name "${name}" (use lowercase letters, digits and dashes)`
+      );
+    }
+    if (!BUILT_IN_PROFILES.includes(name) && !customProfiles[name]) {
+      throw new Error(
+        `Unknown profile "${name}" (available: ${[
+          ...BUILT_IN_PROFILES,
+          ...Object.keys(customProfiles),
+        ].join(", ")})`
+      );
+    }
+  }
+}
+
+async function resolveProfileSettings(name, customProfiles = {}) {
+  if (BUILT_IN_PROFILES.includes(name)) return builtInSettings(name);
+
+  const custom = customProfiles[name];
+  if (!custom) {
+    throw new Error(`Unknown profile "${name}"`);
+  }
+  const parent = custom.extends || DEFAULT_PROFILE;
+  if (!BUILT_IN_PROFILES.includes(parent)) {
+    throw new Error(
+      `Profile "${name}" must extend one of: ${BUILT_IN_PROFILES.join(", ")}`
+    );
+  }
+  return mergeSettings(await builtInSettings(parent), custom.settings);
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  BUILT_IN_PROFILES,
+  mergeSettings,
+  validateProfiles,
+  resolveProfileSettings,
+};
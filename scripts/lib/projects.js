@@ -0,0 +1,84 @@
+const path = require("path");
+const { ROOT_DIR } = require("./config");
+
+// Named projects, each with its own URL list and result directories:
+//
+//   "projects": {
+//     "marketing": { "label": "redis.io marketing" },
+//     "docs": { "urlsFile": "docs-urls.json", "profiles": ["desktop"] }
+//   }
+//
+// A project takes any config key and inherits the rest from the top level.
+// By default its URLs are in projects/<name>/urls.json and its baseline/,
+// latest/, history/, reports/ and runs/ in projects/<name>/ under the
+// output directory; its dashboard goes to docs/<name>/.
+
+const PROJECT_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+function validateProjects(projects) {
+  if (
+    null === projects ||
+    "object" !== typeof projects ||
+    Array.isArray(projects)
+  ) {
+    throw new Error("projects must be an object of named projects");
+  }
+  for (const [name, project] of Object.entries(projects)) {
+    if (!PROJECT_NAME.test(name)) {
+      throw new Error(
+        `Invalid project name "${name}" (lowercase letters, digits and dashes)`
+      );
+    }
+    if (null === project || "object" !== typeof project) {
+      throw new Error(`Project ${name} must be an object`);
+    }
+    if (project.projects) {
+      throw new Error(`Project ${name} cannot have projects of its own`);
+    }
+  }
+}
+
+// The options of every project in `names` (all when empty), or null when no
+// projects are configured
+function resolveProjects(options, names = []) {
+  if (undefined === options.projects) {
+    if (names.length > 0) {
+      throw new Error("--project needs projects in the config file");
+    }
+    return null;
+  }
+  validateProjects(options.projects);
+
+  const available = Object.keys(options.projects);
+  const unknown = names.filter((name) => !available.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown project(s): ${unknown.join(", ")} (available: ${available.join(
+        ", "
+      )})`
+    );
+  }
+
+  const { projects, ...shared } = options;
+  const rootDir = options.outputDir || ROOT_DIR;
+  return (names.length > 0 ? names : available).map((name) => {
+    const project = projects[name];
+    const outputDir = project.outputDir || path.join(rootDir, "projects", name);
+    return {
+      name,
+      label: project.label || name,
+      options: {
+        ...shared,
+        ...project,
+        project: name,
+        outputDir,
+        urlsFile:
+          project.urlsFile ||
+          path.join(ROOT_DIR, "projects", name, "urls.json"),
+        docsDir: path.join(rootDir, "docs", name),
+      },
+    };
+  });
+}
+
+module.exports = { PROJECT_NAME, resolveProjects };
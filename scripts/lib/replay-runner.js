@@ -0,0 +1,92 @@
+const fs = require("fs-extra");
+const path = require("path");
+const zlib = require("zlib");
+
+// Plays back recorded Lighthouse results instead of running Lighthouse: a
+// drop-in for LighthouseRunner that needs no Chrome and no network, for
+// template work and deterministic test runs. Recordings are LHR files
+// (.json or .json.gz, user flow results included) anywhere below a
+// directory, such as the run archive in runs/. They are matched by URL and
+// form factor; several recordings of the same page are replayed in turn,
+// wrapping around when a run asks for more.
+class ReplayRunner {
+  constructor(recordingsDir) {
+    this.recordingsDir = recordingsDir;
+    this.recordings = null;
+    this.loading = null;
+    this.played = new Map();
+  }
+
+  static keyFor(url, formFactor = "mobile") {
+    return `${url} ${formFactor}`;
+  }
+
+  // Shared by all URLs, so the recordings are only read once
+  start() {
+    if (!this.loading) this.loading = this.load();
+    return this.loading;
+  }
+
+  async load() {
+    if (!(await fs.pathExists(this.recordingsDir))) {
+      throw new Error(`Recordings not found: ${this.recordingsDir}`);
+    }
+
+    const recordings = new Map();
+    for (const file of (await listFiles(this.recordingsDir)).sort()) {
+      if (!/\.json(\.gz)?$/.test(file)) continue;
+      let data = await fs.readFile(file);
+      if (file.endsWith(".gz")) data = zlib.gunzipSync(data);
+      const recording = JSON.parse(data.toString("utf8"));
+      // A flow result is filed under the page its first step measured
+      const lhr = recording.steps ? recording.steps[0].lhr : recording;
+      if (!lhr || !lhr.requestedUrl) continue;
+
+      const key = ReplayRunner.keyFor(
+        lhr.requestedUrl,
+        lhr.configSettings && lhr.configSettings.formFactor
+      );
+      if (!recordings.has(key)) recordings.set(key, []);
+      recordings.get(key).push(recording);
+    }
+    this.recordings = recordings;
+    console.log(
+      `Replaying Lighthouse results from ${this.recordingsDir} (${this.recordings.size} page(s))`
+    );
+  }
+
+  async next(url, settings) {
+    await this.start();
+    const formFactor = (settings.overrides || {}).formFactor || "mobile";
+    const key = ReplayRunner.keyFor(url, formFactor);
+    const recordings = this.recordings.get(key);
+    if (!recordings) {
+      throw new Error(`No recorded result for ${url} (${formFactor})`);
+    }
+    const count = this.played.get(key) || 0;
+    this.played.set(key, count + 1);
+    return recordings[count % recordings.length];
+  }
+
+  async run(url, settings = {}) {
+    return this.next(url, settings);
+  }
+
+  async runFlow(url, flow, settings = {}) {
+    return this.next(url, settings);
+  }
+
+  async stop() {}
+}
+
+async function listFiles(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await listFiles(file)));
+    else files.push(file);
+  }
+  return files;
+}
+
+module.exports = { ReplayRunner };
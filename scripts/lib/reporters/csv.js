@@ -0,0 +1,47 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { CATEGORIES } = require("../categories");
+const { METRICS } = require("../metrics");
+
+const COLUMNS = [
+  "key",
+  "timestamp",
+  "type",
+  "url",
+  "label",
+  "profile",
+  "status",
+  ...CATEGORIES.map(({ key }) => key),
+  ...METRICS.map(({ key }) => key),
+  "budget",
+];
+
+function csvValue(value) {
+  if (null == value) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// reports/history.csv: every record of every URL's history, not only this
+// run's, one row per run, for spreadsheets
+class CsvReporter {
+  async write({ monitor, reportsDir }) {
+    const rows = [COLUMNS.join(",")];
+    for (const key of await monitor.history.keys()) {
+      for (const record of await monitor.history.load(key, 0)) {
+        const values = {
+          ...record,
+          ...record.metrics,
+          key,
+          status: record.status || "ok",
+        };
+        rows.push(COLUMNS.map((column) => csvValue(values[column])).join(","));
+      }
+    }
+
+    await fs.writeFile(path.join(reportsDir, "history.csv"), rows.join("\n"));
+    console.log(`Generated history.csv (${rows.length - 1} rows)`);
+  }
+}
+
+module.exports = CsvReporter;
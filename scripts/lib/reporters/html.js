@@ -0,0 +1,36 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+// The per-URL HTML reports: reports/<key>.html, and the archived
+// Lighthouse reports they link to in reports/runs/
+class HtmlReporter {
+  async write({ monitor, reportsDir, entries }) {
+    for (const {
+      key,
+      result,
+      baseline,
+      delta,
+      history,
+      screenshots,
+    } of entries) {
+      const profiles = await monitor.loadProfileResults(result.url);
+      const archivedRuns = new Set(await monitor.runArchive.list(key));
+      const html = monitor.generateHtmlReport(
+        result,
+        baseline,
+        delta,
+        history,
+        profiles,
+        { archivedRuns, screenshots }
+      );
+      await fs.writeFile(path.join(reportsDir, `${key}.html`), html);
+      console.log(`Generated report: ${key}.html`);
+    }
+
+    // The reports link to Lighthouse's report of each archived run under
+    // runs/, like their copies in docs/ (see generate-index.js)
+    await monitor.runArchive.publish(path.join(reportsDir, "runs"));
+  }
+}
+
+module.exports = HtmlReporter;
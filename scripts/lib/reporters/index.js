@@ -0,0 +1,54 @@
+const HtmlReporter = require("./html");
+const MarkdownReporter = require("./markdown");
+const JunitReporter = require("./junit");
+const CsvReporter = require("./csv");
+const JsonReporter = require("./json");
+
+// A reporter is a class whose instances have an async write(context). It
+// is constructed with its entry from "reporterOptions" in the config file
+// and called after every run and `report` with:
+//
+//   {
+//     monitor,     // the PageSpeedMonitor: history, resultKey(), ...
+//     reportsDir,  // where to write; exists already
+//     entries,     // [{ key, result, baseline, delta, history }]
+//   }
+//
+// Custom reporters are modules exporting such a class, registered under a
+// name in "customReporters" and enabled like the built-in ones.
+const BUILT_IN_REPORTERS = {
+  html: HtmlReporter,
+  markdown: MarkdownReporter,
+  junit: JunitReporter,
+  csv: CsvReporter,
+  json: JsonReporter,
+};
+
+const DEFAULT_REPORTERS = ["html"];
+
+function createReporters(
+  names = DEFAULT_REPORTERS,
+  { customReporters = {}, reporterOptions = {} } = {}
+) {
+  return names.map((name) => {
+    let Reporter = BUILT_IN_REPORTERS[name];
+    if (!Reporter && customReporters[name]) {
+      Reporter = require(customReporters[name]);
+    }
+    if (!Reporter) {
+      throw new Error(
+        `Unknown reporter "${name}" (expected one of: ${[
+          ...Object.keys(BUILT_IN_REPORTERS),
+          ...Object.keys(customReporters),
+        ].join(", ")})`
+      );
+    }
+    const reporter = new Reporter(reporterOptions[name] || {});
+    if ("function" !== typeof reporter.write) {
+      throw new Error(`Reporter "${name}" has no write() method`);
+    }
+    return { name, reporter };
+  });
+}
+
+module.exports = { BUILT_IN_REPORTERS, DEFAULT_REPORTERS, createReporters };
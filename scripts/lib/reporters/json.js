@@ -0,0 +1,62 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { CATEGORIES } = require("../categories");
+
+const scoresOf = (result) =>
+  Object.fromEntries(CATEGORIES.map(({ key }) => [key, result[key]]));
+
+// reports/summary.json: scores, baseline, deltas and budget verdicts of the
+// run in one file, for scripts and dashboards elsewhere
+class JsonReporter {
+  async write({ reportsDir, entries }) {
+    const summary = {
+      generatedAt: new Date().toISOString(),
+      results: entries.map(({ key, result, baseline, delta, screenshots }) => ({
+        key,
+        url: result.url,
+        label: result.label || null,
+        profile: result.profile,
+        status: result.status || "ok",
+        timestamp: result.timestamp,
+        scores: scoresOf(result),
+        metrics: result.metrics || null,
+        environment: result.environment || null,
+        baseline: baseline
+          ? { timestamp: baseline.timestamp, scores: scoresOf(baseline) }
+          : null,
+        delta: delta
+          ? {
+              ...Object.fromEntries(
+                CATEGORIES.map(({ key }) => [key, delta[key]])
+              ),
+              significant: delta.significant,
+              environment: delta.environment,
+            }
+          : null,
+        thirdParty: result.thirdParty
+          ? Object.fromEntries(
+              Object.entries(result.thirdParty).map(([group, { cost }]) => [
+                group,
+                {
+                  cost,
+                  change:
+                    (delta && delta.thirdParty && delta.thirdParty[group]) ||
+                    null,
+                },
+              ])
+            )
+          : null,
+        // Pixel difference of the final screenshot against the baseline
+        visualChange: (screenshots && screenshots.comparison) || null,
+        budget: result.budget || null,
+        failures: result.failures || [],
+      })),
+    };
+
+    const file = path.join(reportsDir, "summary.json");
+    await fs.writeFile(file, JSON.stringify(summary, null, 2));
+    console.log("Generated summary.json");
+  }
+}
+
+module.exports = JsonReporter;
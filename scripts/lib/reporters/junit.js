@@ -0,0 +1,83 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { escapeXml } = require("../charts");
+
+// reports/junit.xml: a test suite per URL and profile with a test case per
+// category and resource budget, so CI systems list broken budgets like failing tests.
+// Warnings pass but keep their reason in the test output; a URL that could
+// not be measured is a single errored test case.
+class JunitReporter {
+  testCases(key, result) {
+    const classname = escapeXml(`pagespeed.${key}`);
+    if ("failed" === result.status) {
+      const message = (result.failures || [])
+        .map((failure) => `run ${failure.run}: ${failure.message}`)
+        .join("\n");
+      return [
+        {
+          xml: `<testcase classname="${classname}" name="Lighthouse measurement"><error message="Every Lighthouse run failed">${escapeXml(
+            message
+          )}</error></testcase>`,
+          failure: false,
+          error: true,
+        },
+      ];
+    }
+
+    const { checks = [], resources = [] } = result.budget || {};
+    return [...checks, ...resources].map((check) => {
+      const name = escapeXml(
+        `${check.label}${check.resource ? " resource" : ""} budget`
+      );
+      const reasons = escapeXml(check.reasons.join(", "));
+      let body = "";
+      if ("fail" === check.status) {
+        body = `<failure message="${reasons}">${reasons}</failure>`;
+      } else if ("warn" === check.status) {
+        body = `<system-out>Warning: ${reasons}</system-out>`;
+      }
+      return {
+        xml: `<testcase classname="${classname}" name="${name}">${body}</testcase>`,
+        failure: "fail" === check.status,
+        error: false,
+      };
+    });
+  }
+
+  render(entries) {
+    const suites = entries.map(({ key, result }) => {
+      const cases = this.testCases(key, result);
+      return {
+        cases,
+        xml: `  <testsuite name="${escapeXml(
+          `${result.label || result.url} [${result.profile}]`
+        )}" tests="${cases.length}" failures="${
+          cases.filter((c) => c.failure).length
+        }" errors="${cases.filter((c) => c.error).length}" timestamp="${
+          result.timestamp
+        }">
+${cases.map((c) => `    ${c.xml}`).join("\n")}
+  </testsuite>`,
+      };
+    });
+    const all = suites.flatMap((suite) => suite.cases);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="PageSpeed budgets" tests="${all.length}" failures="${
+      all.filter((c) => c.failure).length
+    }" errors="${all.filter((c) => c.error).length}">
+${suites.map((suite) => suite.xml).join("\n")}
+</testsuites>
+`;
+  }
+
+  async write({ reportsDir, entries }) {
+    await fs.writeFile(
+      path.join(reportsDir, "junit.xml"),
+      this.render(entries)
+    );
+    console.log("Generated junit.xml");
+  }
+}
+
+module.exports = JunitReporter;
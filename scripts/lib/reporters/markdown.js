@@ -0,0 +1,118 @@
+const fs = require("fs-extra");
+const path = require("path");
+const { CATEGORIES } = require("../categories");
+const { METRICS, formatMetricValue } = require("../metrics");
+
+const escapeCell = (text) => String(text).replace(/\|/g, "\\|");
+
+// Score with its change against the baseline; changes within run-to-run
+// noise are marked as such rather than shown as a regression.
+function scoreCell(result, delta, key) {
+  const score = result[key];
+  if (null == score) return "–";
+  if (!delta || null == delta[key] || 0 === delta[key]) return `${score}`;
+  const change = `${delta[key] > 0 ? "▲" : "▼"} ${Math.abs(delta[key])}`;
+  if (delta.significant && !delta.significant[key]) {
+    return `${score} (${change}, noise)`;
+  }
+  return `**${score}** (${change})`;
+}
+
+const CLS = METRICS.find(({ key }) => "cls" === key);
+const clsOf = (result) =>
+  formatMetricValue(CLS, result && result.metrics ? result.metrics.cls : null);
+
+const BUDGET_ICONS = { pass: "✅ pass", warn: "⚠️ warn", fail: "❌ fail" };
+
+// reports/summary.md: a table of every URL for a pull request comment or
+// the GitHub Actions job summary, which it is appended to when
+// GITHUB_STEP_SUMMARY is set. Options: { reportBaseUrl } to link each row
+// to its HTML report.
+class MarkdownReporter {
+  constructor(options = {}) {
+    this.reportBaseUrl = options.reportBaseUrl || null;
+  }
+
+  render(entries) {
+    const lines = [
+      "## PageSpeed results",
+      "",
+      `| Page | Profile | ${CATEGORIES.map(({ label }) => label).join(
+        " | "
+      )} | Budget |`,
+      `| --- | --- | ${CATEGORIES.map(() => "---:").join(" | ")} | --- |`,
+    ];
+
+    for (const { key, result, delta } of entries) {
+      const name = escapeCell(result.label || result.url);
+      const page = this.reportBaseUrl
+        ? `[${name}](${this.reportBaseUrl}${key}.html)`
+        : name;
+      const scores =
+        "failed" === result.status
+          ? CATEGORIES.map(() => "–")
+          : CATEGORIES.map(({ key }) => scoreCell(result, delta, key));
+      const budget =
+        "failed" === result.status
+          ? "⚠️ not measured"
+          : BUDGET_ICONS[result.budget && result.budget.status] || "–";
+      lines.push(
+        `| ${page} | ${result.profile} | ${scores.join(" | ")} | ${budget} |`
+      );
+    }
+
+    const problems = entries.flatMap(
+      ({ result, baseline, delta, screenshots }) => {
+        const name = `**${result.label || result.url}** [${result.profile}]`;
+        if ("failed" === result.status) {
+          return [`- ${name}: every Lighthouse run failed`];
+        }
+        const { checks = [], resources = [] } = result.budget || {};
+        const environment = (delta && delta.environment) || [];
+        const visual = screenshots && screenshots.comparison;
+        return [
+          ...[...checks, ...resources]
+            .filter((check) => "pass" !== check.status)
+            .map(
+              (check) =>
+                `- ${name} ${check.label}: ${check.reasons.join(", ")} (${
+                  check.status
+                })`
+            ),
+          ...(environment.length > 0
+            ? [
+                `- ${name}: environment changed since the baseline, ${environment.join(
+                  ", "
+                )}`,
+              ]
+            : []),
+          ...(visual && visual.changed
+            ? [
+                `- ${name}: ${
+                  visual.diff
+                }% of the final screenshot changed since the baseline (CLS ${clsOf(
+                  baseline
+                )} → ${clsOf(result)})`,
+              ]
+            : []),
+        ];
+      }
+    );
+    if (problems.length > 0) {
+      lines.push("", "### Problems", "", ...problems);
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  async write({ reportsDir, entries }) {
+    const markdown = this.render(entries);
+    await fs.writeFile(path.join(reportsDir, "summary.md"), markdown);
+    console.log("Generated summary.md");
+
+    if (process.env.GITHUB_STEP_SUMMARY) {
+      await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, markdown);
+    }
+  }
+}
+
+module.exports = MarkdownReporter;
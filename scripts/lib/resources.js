@@ -0,0 +1,121 @@
+// Transfer size and request count per resource type, from Lighthouse's
+// resource-summary audit (network-requests when it is missing). Budgets
+// for them live under "resources" in budgets.json, in KiB like Lighthouse's
+// own budgets:
+//
+//   "resources": { "script": { "maxKb": 400, "maxRequests": 30 } }
+
+const RESOURCE_TYPES = [
+  { key: "script", summaryType: "script", label: "JavaScript" },
+  { key: "stylesheet", summaryType: "stylesheet", label: "CSS" },
+  { key: "image", summaryType: "image", label: "Images" },
+  { key: "font", summaryType: "font", label: "Fonts" },
+  { key: "thirdParty", summaryType: "third-party", label: "Third-party" },
+  { key: "total", summaryType: "total", label: "Total" },
+];
+
+// network-requests resourceType values of the per-type rows
+const NETWORK_TYPES = {
+  Script: "script",
+  Stylesheet: "stylesheet",
+  Image: "image",
+  Font: "font",
+};
+
+// "www.redis.io" and "cdn.redis.io" are both first party of redis.io
+const siteOf = (url) => {
+  try {
+    return new URL(url).hostname.split(".").slice(-2).join(".");
+  } catch (error) {
+    return null;
+  }
+};
+
+function fromResourceSummary(items) {
+  const resources = {};
+  for (const { key, summaryType } of RESOURCE_TYPES) {
+    const item = items.find((i) => i.resourceType === summaryType);
+    resources[key] = item
+      ? { bytes: item.transferSize || 0, requests: item.requestCount || 0 }
+      : { bytes: 0, requests: 0 };
+  }
+  return resources;
+}
+
+function fromNetworkRequests(items, pageUrl) {
+  const resources = Object.fromEntries(
+    RESOURCE_TYPES.map(({ key }) => [key, { bytes: 0, requests: 0 }])
+  );
+  const site = siteOf(pageUrl);
+  const add = (key, item) => {
+    resources[key].bytes += item.transferSize || 0;
+    resources[key].requests++;
+  };
+  for (const item of items) {
+    add("total", item);
+    if (NETWORK_TYPES[item.resourceType]) {
+      add(NETWORK_TYPES[item.resourceType], item);
+    }
+    if (site && siteOf(item.url) !== site) add("thirdParty", item);
+  }
+  return resources;
+}
+
+// null when the run has neither audit, e.g. a snapshot step
+function extractResources(lhr) {
+  const audits = lhr.audits || {};
+  const summary = audits["resource-summary"];
+  if (summary && summary.details && summary.details.items) {
+    return fromResourceSummary(summary.details.items);
+  }
+  const requests = audits["network-requests"];
+  if (requests && requests.details && requests.details.items) {
+    return fromNetworkRequests(
+      requests.details.items,
+      lhr.finalDisplayedUrl || lhr.requestedUrl
+    );
+  }
+  return null;
+}
+
+function aggregateResources(results, aggregate) {
+  const runs = results.map((r) => r.resources).filter(Boolean);
+  if (0 === runs.length) return null;
+
+  const resources = {};
+  for (const { key } of RESOURCE_TYPES) {
+    resources[key] = {
+      bytes: Math.round(aggregate(runs.map((r) => r[key].bytes))),
+      requests: Math.round(aggregate(runs.map((r) => r[key].requests))),
+    };
+  }
+  return resources;
+}
+
+function diffResources(current, baseline) {
+  if (!current || !baseline) return null;
+  const diff = {};
+  for (const { key } of RESOURCE_TYPES) {
+    diff[key] = {
+      bytes: current[key].bytes - baseline[key].bytes,
+      requests: current[key].requests - baseline[key].requests,
+    };
+  }
+  return diff;
+}
+
+function formatBytes(bytes) {
+  const sign = bytes < 0 ? "-" : "";
+  const abs = Math.abs(bytes);
+  if (abs >= 1024 * 1024) return `${sign}${(abs / 1024 / 1024).toFixed(2)} MiB`;
+  if (abs >= 1024) return `${sign}${Math.round(abs / 1024)} KiB`;
+  return `${sign}${abs} B`;
+}
+
+module.exports = {
+  RESOURCE_TYPES,
+  extractResources,
+  aggregateResources,
+  diffResources,
+  formatBytes,
+};
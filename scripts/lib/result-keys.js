@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+
+// Result keys name the files of a URL and profile in baseline/, latest/,
+// history/, reports/ and runs/, e.g. "redis-io-pricing--afab360f.mobile".
+// The slug keeps them readable; the hash of the full URL keeps apart URLs
+// whose slugs are equal, like /x-y and /x/y, http and https or two query
+// strings. manifest.json maps every key back to its URL.
+
+const HASH_LENGTH = 8;
+// Long URLs would otherwise run into file name limits
+const MAX_SLUG_LENGTH = 80;
+
+function urlSlug(url) {
+  return url
+    .replace(/https?:\/\//, "")
+    .replace(/[^a-zA-Z0-9]/g, "-")
+    .slice(0, MAX_SLUG_LENGTH);
+}
+
+function urlKey(url) {
+  const hash = crypto.createHash("sha1").update(url).digest("hex");
+  return `${urlSlug(url)}-${hash.slice(0, HASH_LENGTH)}`;
+}
+
+// Keys before the hash was added, kept for migrating stored results
+function legacyUrlKey(url) {
+  return url.replace(/https?:\/\//, "").replace(/[^a-zA-Z0-9]/g, "-");
+}
+
+// manifest.json: { "<result key>": "<url>" }, written as results are saved
+class KeyManifest {
+  constructor(file) {
+    this.file = file;
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(this.file, "utf8"));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Fails rather than letting two URLs share stored results
+  async register(keys) {
+    const manifest = await this.load();
+    let changed = false;
+    for (const [key, url] of Object.entries(keys)) {
+      if (manifest[key] === url) continue;
+      if (manifest[key]) {
+        throw new Error(
+          `Result key ${key} of ${url} is already used by ${manifest[key]}`
+        );
+      }
+      manifest[key] = url;
+      changed = true;
+    }
+    if (!changed) return;
+
+    const sorted = Object.fromEntries(
+      Object.entries(manifest).sort(([a], [b]) => a.localeCompare(b))
+    );
+    await fs.ensureDir(path.dirname(this.file));
+    await fs.writeFile(this.file, JSON.stringify(sorted, null, 2) + "\n");
+  }
+}
+
+// Directories holding files or directories named "<key>.<ext>" or "<key>"
+const KEYED_DIRS = [
+  "baseline",
+  path.join("baseline", "archive"),
+  "latest",
+  "history",
+  "reports",
+  "runs",
+  "screenshots",
+  "docs",
+  path.join("docs", "runs"),
+];
+
+// Renames results stored under legacy keys to the keys of their urls.json
+// URL. URLs that shared a legacy key are left alone: their results are
+// mixed up and can't be told apart. Returns the number of renamed files and
+// the migrated keys for the manifest.
+async function migrateLegacyKeys(outputDir, urls) {
+  const byLegacyKey = new Map();
+  for (const url of new Set(urls)) {
+    const legacy = legacyUrlKey(url);
+    byLegacyKey.set(legacy, byLegacyKey.has(legacy) ? null : url);
+  }
+
+  let renamed = 0;
+  const keys = {};
+  const ambiguous = new Set();
+  for (const dir of KEYED_DIRS.map((d) => path.join(outputDir, d))) {
+    if (!(await fs.pathExists(dir))) continue;
+    for (const name of await fs.readdir(dir)) {
+      const at = name.indexOf(".");
+      const legacy = -1 === at ? name : name.slice(0, at);
+      const url = byLegacyKey.get(legacy);
+      if (null === url && !ambiguous.has(legacy)) {
+        console.warn(
+          `⚠️  Results under ${legacy} belong to several URLs and were not migrated`
+        );
+        ambiguous.add(legacy);
+      }
+      if (!url) continue;
+
+      const renamedTo = urlKey(url) + name.slice(legacy.length);
+      const target = path.join(dir, renamedTo);
+      if (await fs.pathExists(target)) {
+        console.warn(`⚠️  Not migrating ${name}: ${target} already exists`);
+        continue;
+      }
+      await fs.move(path.join(dir, name), target);
+      renamed++;
+      // "<url key>.<profile>" without the file extension
+      keys[renamedTo.split(".").slice(0, 2).join(".")] = url;
+    }
+  }
+  return { renamed, keys };
+}
+
+module.exports = {
+  urlSlug,
+  urlKey,
+  legacyUrlKey,
+  KeyManifest,
+  migrateLegacyKeys,
+};
@@ -0,0 +1,128 @@
+const fs = require("fs-extra");
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const DEFAULT_MAX_SIZE_MB = 50;
+
+// Full Lighthouse results of individual runs: runs/<key>/<id>.json.gz (the
+// LHR) and <id>.html.gz (Lighthouse's own report). Ids start with the run's
+// time, so sorting them sorts runs oldest first. When the archive grows past
+// maxSizeMb the oldest runs are deleted.
+class RunArchive {
+  constructor(archiveDir, { maxSizeMb = DEFAULT_MAX_SIZE_MB } = {}) {
+    this.archiveDir = archiveDir;
+    this.maxBytes = maxSizeMb * 1024 * 1024;
+  }
+
+  dirFor(key) {
+    return path.join(this.archiveDir, key);
+  }
+
+  // `lhr` may also be a user flow result ({ name, steps }), archived with
+  // Lighthouse's flow report
+  async save(key, lhr, run) {
+    // The report generator is an ES module like the rest of Lighthouse
+    const { ReportGenerator } = await import(
+      "lighthouse/report/generator/report-generator.js"
+    );
+    const id = `${new Date().toISOString().replace(/:/g, "-")}-run${run}`;
+    const dir = this.dirFor(key);
+    await fs.ensureDir(dir);
+    await fs.writeFile(
+      path.join(dir, `${id}.json.gz`),
+      await gzip(JSON.stringify(lhr))
+    );
+    await fs.writeFile(
+      path.join(dir, `${id}.html.gz`),
+      await gzip(
+        lhr.steps
+          ? ReportGenerator.generateFlowReportHtml(lhr)
+          : ReportGenerator.generateReportHtml(lhr)
+      )
+    );
+    return id;
+  }
+
+  // Deletes one run, e.g. a run that was repeated with other settings
+  async remove(key, id) {
+    const dir = this.dirFor(key);
+    await fs.remove(path.join(dir, `${id}.json.gz`));
+    await fs.remove(path.join(dir, `${id}.html.gz`));
+    if (0 === (await this.list(key)).length) await fs.remove(dir);
+  }
+
+  async keys() {
+    if (!(await fs.pathExists(this.archiveDir))) return [];
+    return (await fs.readdir(this.archiveDir)).sort();
+  }
+
+  // Ids of the archived runs of one result key, oldest first
+  async list(key) {
+    const dir = this.dirFor(key);
+    if (!(await fs.pathExists(dir))) return [];
+    return (await fs.readdir(dir))
+      .filter((file) => file.endsWith(".html.gz"))
+      .map((file) => file.slice(0, -".html.gz".length))
+      .sort();
+  }
+
+  // Deletes the oldest runs, across all keys, until the archive fits
+  async prune() {
+    const runs = [];
+    let total = 0;
+    for (const key of await this.keys()) {
+      for (const id of await this.list(key)) {
+        let size = 0;
+        for (const ext of [".json.gz", ".html.gz"]) {
+          const file = path.join(this.dirFor(key), `${id}${ext}`);
+          if (await fs.pathExists(file)) size += (await fs.stat(file)).size;
+        }
+        runs.push({ key, id, size });
+        total += size;
+      }
+    }
+
+    runs.sort((a, b) => a.id.localeCompare(b.id));
+    let removed = 0;
+    while (total > this.maxBytes && runs.length > 0) {
+      const { key, id, size } = runs.shift();
+      await fs.remove(path.join(this.dirFor(key), `${id}.json.gz`));
+      await fs.remove(path.join(this.dirFor(key), `${id}.html.gz`));
+      total -= size;
+      removed++;
+    }
+    for (const key of await this.keys()) {
+      if (0 === (await this.list(key)).length) {
+        await fs.remove(this.dirFor(key));
+      }
+    }
+    return removed;
+  }
+
+  // Unpacks the HTML report of every archived run into
+  // <targetDir>/<key>/<id>.html, replacing what was published before, so
+  // runs pruned from the archive disappear from the site as well.
+  async publish(targetDir) {
+    await fs.remove(targetDir);
+    let published = 0;
+    for (const key of await this.keys()) {
+      const ids = await this.list(key);
+      if (0 === ids.length) continue;
+      await fs.ensureDir(path.join(targetDir, key));
+      for (const id of ids) {
+        const html = await gunzip(
+          await fs.readFile(path.join(this.dirFor(key), `${id}.html.gz`))
+        );
+        await fs.writeFile(path.join(targetDir, key, `${id}.html`), html);
+        published++;
+      }
+    }
+    return published;
+  }
+}
+
+module.exports = { RunArchive, DEFAULT_MAX_SIZE_MB };
@@ -0,0 +1,187 @@
+const fs = require("fs-extra");
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const jpeg = require("jpeg-js");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// What the page looked like: the final screenshot and the filmstrip of the
+// representative run of each measurement, in
+// screenshots/<key>/<id>.json.gz. Results refer to theirs as
+// "screenshots": { "id", "run" }, so baselines, archived baselines and
+// history records keep pointing at the right ones. Reports embed them, so
+// they are off unless enabled:
+//
+//   "screenshots": { "enabled": true, "diffThreshold": 5 }
+//
+// diffThreshold is the percentage of pixels of the final screenshot that
+// may differ from the baseline's before the change is flagged.
+
+const DEFAULT_DIFF_THRESHOLD = 5;
+// Smaller differences of a color channel are JPEG noise
+const PIXEL_TOLERANCE = 32;
+
+// null unless enabled
+function screenshotsConfig(options = {}) {
+  const config = options.screenshots || {};
+  if (!config.enabled) return null;
+
+  const threshold =
+    undefined !== config.diffThreshold
+      ? config.diffThreshold
+      : DEFAULT_DIFF_THRESHOLD;
+  if ("number" !== typeof threshold || threshold < 0 || threshold > 100) {
+    throw new Error("screenshots.diffThreshold must be a percentage (0-100)");
+  }
+  return { threshold };
+}
+
+// Screenshots of one Lighthouse result, null when it has none (e.g. a
+// snapshot step or a run without the performance category)
+function extractScreenshots(lhr) {
+  const audits = lhr.audits || {};
+  const final = (audits["final-screenshot"] || {}).details;
+  const filmstrip = (audits["screenshot-thumbnails"] || {}).details;
+  if (!final && !filmstrip) return null;
+  return {
+    final: final ? { timing: final.timing, data: final.data } : null,
+    filmstrip: filmstrip
+      ? filmstrip.items.map(({ timing, data }) => ({ timing, data }))
+      : [],
+  };
+}
+
+// Index of the run whose Performance score is closest to the aggregated
+// one, leaving out outliers; the first kept run when there is no score
+function representativeRun(runs, aggregated) {
+  const outliers = aggregated.outliers || [];
+  const kept = runs
+    .map((run, index) => ({ run, index }))
+    .filter(({ index }) => !outliers.includes(index));
+  if (0 === kept.length) return null;
+
+  const target = aggregated.performance;
+  if ("number" !== typeof target) return kept[0].index;
+  const distance = ({ run }) =>
+    "number" === typeof run.performance
+      ? Math.abs(run.performance - target)
+      : Infinity;
+  return kept.reduce((best, candidate) =>
+    distance(candidate) < distance(best) ? candidate : best
+  ).index;
+}
+
+function decodeScreenshot(dataUri) {
+  const base64 = dataUri.slice(dataUri.indexOf(",") + 1);
+  return jpeg.decode(Buffer.from(base64, "base64"), {
+    useTArray: true,
+    formatAsRGBA: true,
+  });
+}
+
+// Percentage of pixels that differ between two JPEG data URIs, rounded to
+// one decimal. Screenshots of different sizes are compared at the smaller
+// size, so a changed viewport doesn't make every pixel count as changed.
+function pixelDifference(a, b) {
+  const first = decodeScreenshot(a);
+  const second = decodeScreenshot(b);
+  const width = Math.min(first.width, second.width);
+  const height = Math.min(first.height, second.height);
+  if (0 === width * height) return null;
+
+  const offset = (image, x, y) =>
+    (Math.floor((y * image.height) / height) * image.width +
+      Math.floor((x * image.width) / width)) *
+    4;
+  let changed = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = offset(first, x, y);
+      const j = offset(second, x, y);
+      for (let channel = 0; channel < 3; channel++) {
+        const difference = first.data[i + channel] - second.data[j + channel];
+        if (Math.abs(difference) > PIXEL_TOLERANCE) {
+          changed++;
+          break;
+        }
+      }
+    }
+  }
+  return Math.round((changed / (width * height)) * 1000) / 10;
+}
+
+// { diff, threshold, changed } for the final screenshots of two results,
+// null when either is missing or can't be decoded
+function compareScreenshots(current, baseline, { threshold }) {
+  if (!current || !baseline || !current.final || !baseline.final) return null;
+  try {
+    const diff = pixelDifference(current.final.data, baseline.final.data);
+    return null === diff
+      ? null
+      : { diff, threshold, changed: diff > threshold };
+  } catch (error) {
+    console.warn(`⚠️  Could not compare screenshots: ${error.message}`);
+    return null;
+  }
+}
+
+class ScreenshotStore {
+  constructor(screenshotsDir) {
+    this.screenshotsDir = screenshotsDir;
+  }
+
+  dirFor(key) {
+    return path.join(this.screenshotsDir, key);
+  }
+
+  fileFor(key, id) {
+    return path.join(this.dirFor(key), `${id}.json.gz`);
+  }
+
+  async save(key, screenshots) {
+    const id = new Date().toISOString().replace(/:/g, "-");
+    await fs.ensureDir(this.dirFor(key));
+    await fs.writeFile(
+      this.fileFor(key, id),
+      await gzip(JSON.stringify(screenshots))
+    );
+    return id;
+  }
+
+  // The screenshots a result refers to, null when it has none or they
+  // were pruned
+  async load(key, result) {
+    if (!result || !result.screenshots) return null;
+    try {
+      const data = await fs.readFile(this.fileFor(key, result.screenshots.id));
+      return JSON.parse(await gunzip(data));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Deletes the screenshots of a key whose id isn't in `keep`
+  async prune(key, keep) {
+    const dir = this.dirFor(key);
+    if (!(await fs.pathExists(dir))) return 0;
+    let removed = 0;
+    for (const file of await fs.readdir(dir)) {
+      if (keep.has(file.slice(0, -".json.gz".length))) continue;
+      await fs.remove(path.join(dir, file));
+      removed++;
+    }
+    if (0 === (await fs.readdir(dir)).length) await fs.remove(dir);
+    return removed;
+  }
+}
+
+module.exports = {
+  screenshotsConfig,
+  extractScreenshots,
+  representativeRun,
+  pixelDifference,
+  compareScreenshots,
+  ScreenshotStore,
+};
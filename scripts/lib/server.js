@@ -0,0 +1,490 @@
+const fs = require("fs-extra");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { resolveBaseline } = require("./baselines");
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = "127.0.0.1";
+// Finished jobs kept for the status page
+const MAX_JOBS = 50;
+// Progress events kept per job, for clients connecting late
+const MAX_JOB_EVENTS = 200;
+const MAX_BODY_BYTES = 64 * 1024;
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+const WILDCARD_HOSTS = ["0.0.0.0", "::"];
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+};
+
+// "<url>.<profile>", or "<url>.vs.<url>.<profile>" for A/B comparisons
+const KEY_PATTERN = /^[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Serves the docs/ dashboard, a read-only JSON API over the stored results
+// and a queue of on-demand runs. Runs are measured one at a time, as the
+// nightly job does, and rebuild the dashboard when they finish.
+//
+//   GET  /api/urls                   urls.json entries with their result keys
+//   GET  /api/results/<key>          latest result
+//   GET  /api/results/<key>/baseline baseline (rolling when configured)
+//   GET  /api/results/<key>/history  history, ?limit=n (default all)
+//   POST /api/runs                   queue a run: { "url": ... } or { "group": ... }
+//   GET  /api/runs, /api/runs/<id>   queued, running and finished runs
+//   GET  /api/events                 progress of all runs (Server-Sent Events)
+//   GET  /status                     run status page
+class DashboardServer {
+  // createMonitor(options) builds a PageSpeedMonitor, createIndex() a
+  // dashboard generator; both are passed in to keep this module free of the
+  // command implementations.
+  constructor({ createMonitor, createIndex, docsDir, port, host }) {
+    this.createMonitor = createMonitor;
+    this.createIndex = createIndex;
+    this.docsDir = path.resolve(docsDir);
+    this.port = port ?? DEFAULT_PORT;
+    this.host = host || DEFAULT_HOST;
+    this.monitor = createMonitor();
+    this.jobs = [];
+    this.queue = [];
+    this.running = null;
+    this.nextId = 1;
+    this.clients = new Set();
+    // "host:port" values runs may be queued under, see start()
+    this.ownHosts = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    if (!(await fs.pathExists(path.join(this.docsDir, "index.html")))) {
+      await this.createIndex().generateIndex();
+    }
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    const { port } = this.server.address();
+    this.ownHosts = ownHosts(this.host, port);
+    console.log(`Dashboard on http://${this.host}:${port}/`);
+    console.log(`Run status on http://${this.host}:${port}/status`);
+  }
+
+  // Resolves once the server is closed
+  async stop() {
+    for (const client of this.clients) client.end();
+    const closed = new Promise((resolve) => this.server.close(resolve));
+    this.server.closeAllConnections();
+    await closed;
+  }
+
+  async handle(req, res) {
+    try {
+      const { pathname, searchParams } = new URL(req.url, "http://localhost");
+      if (pathname.startsWith("/api/")) {
+        await this.handleApi(req, res, pathname, searchParams);
+      } else if ("/status" === pathname) {
+        send(res, 200, STATUS_PAGE, CONTENT_TYPES[".html"]);
+      } else if ("GET" === req.method || "HEAD" === req.method) {
+        await this.serveStatic(res, pathname);
+      } else {
+        throw new HttpError(405, "Method not allowed");
+      }
+    } catch (error) {
+      const status = error.status || 500;
+      if (500 === status) console.error("Server error:", error);
+      sendJson(res, status, { error: error.message });
+    }
+  }
+
+  async handleApi(req, res, pathname, searchParams) {
+    const parts = pathname.split("/").filter(Boolean).slice(1);
+    const [resource, id, detail] = parts;
+
+    if ("POST" === req.method) {
+      if ("runs" !== resource || id) throw new HttpError(404, "Not found");
+      checkRunRequest(req, this.ownHosts);
+      const job = await this.enqueue(await readJson(req));
+      return sendJson(res, 202, job);
+    }
+    if ("GET" !== req.method) throw new HttpError(405, "Method not allowed");
+
+    switch (resource) {
+      case "urls":
+        return sendJson(res, 200, await this.listUrls());
+      case "results":
+        return sendJson(
+          res,
+          200,
+          await this.loadResult(id, detail, searchParams)
+        );
+      case "runs":
+        if (!id) return sendJson(res, 200, this.jobs);
+        return sendJson(res, 200, this.findJob(id));
+      case "events":
+        return this.openEventStream(req, res);
+    }
+    throw new HttpError(404, "Not found");
+  }
+
+  async listUrls() {
+    const monitor = this.monitor;
+    return (await monitor.loadUrls()).map((entry) => {
+      const profiles = monitor.profilesFor(entry);
+      return {
+        url: entry.url,
+        label: entry.label || null,
+        group: entry.group || null,
+        tags: entry.tags,
+        profiles,
+        keys: profiles.map((profile) => monitor.resultKey(entry.url, profile)),
+      };
+    });
+  }
+
+  async loadResult(key, detail, searchParams) {
+    if (!key || !KEY_PATTERN.test(key)) {
+      throw new HttpError(
+        400,
+        "Expected a result key like redis-io--f4a1f689.mobile"
+      );
+    }
+    const monitor = this.monitor;
+    let data;
+    if (!detail) {
+      const file = path.join(monitor.latestDir, `${key}.json`);
+      data = (await fs.pathExists(file))
+        ? JSON.parse(await fs.readFile(file, "utf8"))
+        : null;
+    } else if ("baseline" === detail) {
+      data = await resolveBaseline(monitor.baselines, monitor.history, key, {
+        rollingWindow: monitor.rollingWindow,
+      });
+    } else if ("history" === detail) {
+      const limit = Number(searchParams.get("limit")) || 0;
+      data = await monitor.history.load(key, limit);
+    } else {
+      throw new HttpError(404, "Not found");
+    }
+    if (null === data)
+      throw new HttpError(404, `No ${detail || "result"} for ${key}`);
+    return data;
+  }
+
+  findJob(id) {
+    const job = this.jobs.find((j) => j.id === id);
+    if (!job) throw new HttpError(404, `No run ${id}`);
+    return job;
+  }
+
+  // Only URLs and groups from urls.json can be queued, so the server
+  // cannot be used to run Lighthouse against arbitrary sites
+  async enqueue(request) {
+    const url = "string" === typeof request.url ? request.url : null;
+    const group = "string" === typeof request.group ? request.group : null;
+    if (!url === !group) {
+      throw new HttpError(400, 'Expected either "url" or "group"');
+    }
+    const entries = await this.monitor.loadUrls();
+    if (url && !entries.some((entry) => entry.url === url)) {
+      throw new HttpError(400, `${url} is not in urls.json`);
+    }
+    if (group) {
+      await this.monitor.selectTargets({ group }).catch((error) => {
+        throw new HttpError(400, error.message);
+      });
+    }
+
+    const job = {
+      id: String(this.nextId++),
+      request: url ? { url } : { group },
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      exitCode: null,
+      error: null,
+      progress: null,
+      events: [],
+    };
+    this.jobs.unshift(job);
+    this.jobs.splice(MAX_JOBS);
+    this.queue.push(job);
+    this.broadcast(job, { type: "queued" });
+    this.runQueue();
+    return job;
+  }
+
+  async runQueue() {
+    if (this.running) return;
+    while (this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running = job;
+      job.status = "running";
+      job.startedAt = new Date().toISOString();
+      this.broadcast(job, { type: "running" });
+
+      try {
+        const monitor = this.createMonitor({
+          onProgress: (event) => {
+            if ("run" === event.type) job.progress = event;
+            this.broadcast(job, event);
+          },
+        });
+        const { url, group } = job.request;
+        job.exitCode = await monitor.measure({
+          urls: url ? [url] : [],
+          group,
+        });
+        await this.createIndex().generateIndex();
+        job.status = "done";
+      } catch (error) {
+        job.status = "failed";
+        job.error = error.message;
+      }
+      job.finishedAt = new Date().toISOString();
+      this.broadcast(job, { type: job.status, exitCode: job.exitCode });
+    }
+    this.running = null;
+  }
+
+  broadcast(job, event) {
+    const stamped = { ...event, timestamp: new Date().toISOString() };
+    job.events.push(stamped);
+    job.events.splice(0, job.events.length - MAX_JOB_EVENTS);
+    const { events, ...summary } = job;
+    const data = JSON.stringify({ job: summary, event: stamped });
+    for (const client of this.clients) client.write(`data: ${data}\n\n`);
+  }
+
+  openEventStream(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.write(`event: jobs\ndata: ${JSON.stringify(this.jobs)}\n\n`);
+    this.clients.add(res);
+    req.on("close", () => this.clients.delete(res));
+  }
+
+  async serveStatic(res, pathname) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (error) {
+      throw new HttpError(400, "Malformed URL");
+    }
+    let file = path.join(this.docsDir, path.normalize(decoded));
+    if (file !== this.docsDir && !file.startsWith(this.docsDir + path.sep)) {
+      throw new HttpError(403, "Forbidden");
+    }
+    if ((await fs.pathExists(file)) && (await fs.stat(file)).isDirectory()) {
+      file = path.join(file, "index.html");
+    }
+    if (!(await fs.pathExists(file))) throw new HttpError(404, "Not found");
+
+    const type =
+      CONTENT_TYPES[path.extname(file)] || "application/octet-stream";
+    send(res, 200, await fs.readFile(file), type);
+  }
+}
+
+function send(res, status, body, type) {
+  res.writeHead(status, {
+    "Content-Type": type,
+    "Content-Length": Buffer.byteLength(body),
+  });
+  res.end("HEAD" === res.req.method ? undefined : body);
+}
+
+function sendJson(res, status, data) {
+  send(res, status, JSON.stringify(data, null, 2), CONTENT_TYPES[".json"]);
+}
+
+// The addresses the server listens on: the configured host, plus the
+// loopback names for a loopback host and every interface address for
+// 0.0.0.0 or ::. Never a domain name it wasn't given.
+function ownHosts(host, port) {
+  const format = (name) =>
+    name.includes(":") && !name.startsWith("[") ? `[${name}]` : name;
+  const names = new Set([format(host).toLowerCase()]);
+  const wildcard = WILDCARD_HOSTS.includes(host);
+  if (wildcard || LOOPBACK_HOSTS.includes(format(host))) {
+    LOOPBACK_HOSTS.forEach((name) => names.add(name));
+  }
+  if (wildcard) {
+    for (const addresses of Object.values(os.networkInterfaces())) {
+      addresses.forEach(({ address }) => names.add(format(address)));
+    }
+  }
+  // Clients leave out the default port
+  return [...names].flatMap((name) =>
+    80 === port ? [`${name}:${port}`, name] : [`${name}:${port}`]
+  );
+}
+
+// Runs are expensive, so only JSON posted from the status page or a client
+// like curl may queue them. A page on another site can post text/plain to
+// 127.0.0.1 without a CORS preflight, and its Origin gives it away. With
+// DNS rebinding its domain resolves to this server and the request looks
+// same-origin, but its Host is still that domain, not one of ownHosts.
+function checkRunRequest(req, hosts) {
+  const type = (req.headers["content-type"] || "").split(";")[0].trim();
+  if ("application/json" !== type.toLowerCase()) {
+    throw new HttpError(415, "Expected Content-Type: application/json");
+  }
+  const host = (req.headers.host || "").toLowerCase();
+  if (!hosts.includes(host)) {
+    throw new HttpError(403, `Runs can't be queued through ${host}`);
+  }
+  const { origin } = req.headers;
+  if (
+    undefined !== origin &&
+    !hosts.some((own) => origin.toLowerCase() === `http://${own}`)
+  ) {
+    throw new HttpError(403, `Runs can't be queued from ${origin}`);
+  }
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON: ${error.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Queue form and live progress, fed by /api/events. Inline and dependency
+// free like the dashboard.
+const STATUS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>PageSpeed Run Status</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 20px; color: #333; }
+        form { background: #f5f5f5; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
+        select, input, button { font-size: 1em; padding: 4px 8px; }
+        table { width: 100%; border-collapse: collapse; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; }
+        th { background: #f5f5f5; }
+        .status { display: inline-block; padding: 2px 8px; border-radius: 4px; font-weight: bold; }
+        .queued { background: #f5f5f5; color: #666; }
+        .running { background: #e8f0fe; color: #1a73e8; }
+        .done { background: #e6f4ea; color: #0c7e3e; }
+        .failed { background: #fce8e6; color: #d93025; }
+        .log { font-family: monospace; font-size: 0.85em; color: #666; max-height: 8em; overflow-y: auto; }
+        #error { color: #d93025; margin-left: 10px; }
+    </style>
+</head>
+<body>
+    <h1>PageSpeed Run Status</h1>
+    <p><a href="/">Dashboard</a></p>
+    <form id="queue">
+        <select id="url"><option value="">URL&hellip;</option></select>
+        or group <input id="group" placeholder="group or tag">
+        <button type="submit">Run now</button>
+        <span id="error"></span>
+    </form>
+    <table>
+        <thead><tr><th>#</th><th>Request</th><th>Status</th><th>Progress</th><th>Log</th></tr></thead>
+        <tbody id="jobs"></tbody>
+    </table>
+    <script>
+    (function () {
+      var jobs = {};
+      var logs = {};
+      function text(value) {
+        var span = document.createElement("span");
+        span.textContent = value;
+        return span.innerHTML;
+      }
+      function describe(event) {
+        if ("run" === event.type) return event.url + " [" + event.profile + "] run " + event.run + "/" + event.runs + (event.blocked ? " without " + event.blocked : "");
+        if ("result" === event.type) {
+          var scores = event.scores ? Object.keys(event.scores).map(function (k) { return k + " " + event.scores[k]; }).join(", ") : "";
+          return event.url + " [" + event.profile + "] " + event.status + (scores ? ": " + scores : "");
+        }
+        if ("start" === event.type) return event.measurements + " measurement(s)";
+        return event.type + (null != event.exitCode ? " (exit " + event.exitCode + ")" : "");
+      }
+      function render() {
+        var ids = Object.keys(jobs).sort(function (a, b) { return b - a; });
+        document.getElementById("jobs").innerHTML = ids.map(function (id) {
+          var job = jobs[id];
+          var progress = job.progress && "running" === job.status
+            ? describe(job.progress)
+            : job.error || "";
+          return "<tr><td>" + id + "</td><td>" + text(job.request.url || "group " + job.request.group) +
+            "</td><td><span class=\\"status " + job.status + "\\">" + job.status + "</span></td><td>" +
+            text(progress) + "</td><td class=\\"log\\">" + (logs[id] || []).map(text).join("<br>") + "</td></tr>";
+        }).join("");
+      }
+      var source = new EventSource("/api/events");
+      source.addEventListener("jobs", function (message) {
+        JSON.parse(message.data).forEach(function (job) {
+          jobs[job.id] = job;
+          logs[job.id] = job.events.map(describe);
+        });
+        render();
+      });
+      source.onmessage = function (message) {
+        var data = JSON.parse(message.data);
+        jobs[data.job.id] = data.job;
+        (logs[data.job.id] = logs[data.job.id] || []).push(describe(data.event));
+        render();
+      };
+      fetch("/api/urls").then(function (r) { return r.json(); }).then(function (urls) {
+        var select = document.getElementById("url");
+        urls.forEach(function (entry) {
+          var option = document.createElement("option");
+          option.value = entry.url;
+          option.textContent = entry.label || entry.url;
+          select.appendChild(option);
+        });
+      });
+      document.getElementById("queue").addEventListener("submit", function (event) {
+        event.preventDefault();
+        var url = document.getElementById("url").value;
+        var group = document.getElementById("group").value.trim();
+        var error = document.getElementById("error");
+        error.textContent = "";
+        fetch("/api/runs", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(url ? { url: url } : { group: group })
+        }).then(function (r) { return r.json(); }).then(function (data) {
+          if (data.error) error.textContent = data.error;
+        });
+      });
+    })();
+    </script>
+</body>
+</html>`;
+
+module.exports = { DashboardServer, DEFAULT_PORT, DEFAULT_HOST };
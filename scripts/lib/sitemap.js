@@ -0,0 +1,80 @@
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const gunzip = promisify(zlib.gunzip);
+
+// A sitemap index may point at more indexes; this bounds how many sitemaps
+// are fetched in total so a misconfigured site cannot loop forever.
+const MAX_SITEMAPS = 100;
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&apos;": "'",
+};
+
+function decodeLoc(value) {
+  return value
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+    .trim()
+    .replace(/&(amp|lt|gt|quot|apos);/g, (entity) => ENTITIES[entity]);
+}
+
+// The <loc> of every <url> in a urlset, or of every <sitemap> in a sitemap
+// index. Sitemaps are flat enough that a full XML parser isn't needed.
+function parseSitemap(xml) {
+  const index = /<sitemapindex[\s>]/.test(xml);
+  const locs = [];
+  const pattern = /<loc>([\s\S]*?)<\/loc>/g;
+  let match;
+  while ((match = pattern.exec(xml))) {
+    locs.push(decodeLoc(match[1]));
+  }
+  return { index, locs };
+}
+
+async function fetchSitemap(url) {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`Could not fetch sitemap ${url}: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`Could not fetch sitemap ${url}: HTTP ${response.status}`);
+  }
+  let body = Buffer.from(await response.arrayBuffer());
+  // sitemap.xml.gz, served without Content-Encoding
+  if (0x1f === body[0] && 0x8b === body[1]) body = await gunzip(body);
+  return body.toString("utf8");
+}
+
+// Page URLs listed in the given sitemaps or sitemap indexes, in sitemap
+// order without duplicates
+async function fetchSitemapUrls(sitemapUrls) {
+  const queue = [...sitemapUrls];
+  const seen = new Set();
+  const urls = new Set();
+
+  while (queue.length > 0) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    if (seen.size >= MAX_SITEMAPS) {
+      console.warn(`⚠️  Stopped after ${MAX_SITEMAPS} sitemaps`);
+      break;
+    }
+    seen.add(sitemapUrl);
+
+    const { index, locs } = parseSitemap(await fetchSitemap(sitemapUrl));
+    if (index) {
+      queue.push(...locs.map((loc) => new URL(loc, sitemapUrl).toString()));
+    } else {
+      for (const loc of locs) urls.add(loc);
+    }
+  }
+  return [...urls];
+}
+
+module.exports = { parseSitemap, fetchSitemapUrls };
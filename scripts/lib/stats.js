@@ -0,0 +1,84 @@
+// Small statistics helpers for aggregating repeated Lighthouse runs.
+
+const mean = (values) =>
+  values.reduce((sum, value) => sum + value, 0) / values.length;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Drops `fraction` of the values from each end before averaging. With the
+// default 3 runs this trims nothing; it starts to matter from 5 runs up.
+function trimmedMean(values, fraction = 0.2) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const trim = Math.floor(sorted.length * fraction);
+  return mean(sorted.slice(trim, sorted.length - trim));
+}
+
+function stddev(values) {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(
+    values.reduce((sum, value) => sum + (value - avg) ** 2, 0) /
+      (values.length - 1)
+  );
+}
+
+const AGGREGATIONS = {
+  median,
+  mean,
+  trimmed: trimmedMean,
+};
+
+function getAggregator(name) {
+  const aggregate = AGGREGATIONS[name];
+  if (!aggregate) {
+    throw new Error(
+      `Unknown aggregation "${name}" (expected one of: ${Object.keys(
+        AGGREGATIONS
+      ).join(", ")})`
+    );
+  }
+  return aggregate;
+}
+
+// Robust z-score based on the median absolute deviation. The MAD is floored
+// at one point so that identical runs don't turn a 1-point wobble into an
+// outlier.
+function findOutliers(values, threshold = 3.5) {
+  if (values.length < 3) return [];
+
+  const center = median(values);
+  const mad = Math.max(median(values.map((v) => Math.abs(v - center))), 1);
+
+  return values
+    .map((value, index) => ({
+      index,
+      z: Math.abs(value - center) / (1.4826 * mad),
+    }))
+    .filter(({ z }) => z > threshold)
+    .map(({ index }) => index);
+}
+
+function summarize(values) {
+  const round = (value) => Math.round(value * 10) / 10;
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: round(mean(values)),
+    median: round(median(values)),
+    stddev: round(stddev(values)),
+  };
+}
+
+module.exports = {
+  AGGREGATIONS,
+  getAggregator,
+  findOutliers,
+  summarize,
+  mean,
+  median,
+  stddev,
+};
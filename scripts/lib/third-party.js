@@ -0,0 +1,112 @@
+// Third-party impact: each URL is measured again with every configured
+// group of third-party requests blocked, using Lighthouse's
+// blockedUrlPatterns. What a group costs is the difference between the
+// regular and the blocked runs:
+//
+//   "thirdParty": {
+//     "enabled": true,
+//     "runs": 2,
+//     "groups": {
+//       "Tag manager": ["*googletagmanager.com*"],
+//       "Chat": ["*.intercom.io*", "*intercomcdn.com*"]
+//     }
+//   }
+//
+// Patterns are matched against request URLs, "*" being a wildcard.
+
+// Metrics whose savings are reported, besides the Performance score
+const COST_METRICS = ["lcp", "tbt"];
+
+// null unless enabled in the config file or with --third-party
+function thirdPartyConfig(options = {}) {
+  const config = options.thirdParty;
+  if (!config || !(config.enabled || options.thirdPartyEnabled)) return null;
+
+  const groups = Object.entries(config.groups || {});
+  const valid = groups.every(
+    ([, patterns]) =>
+      Array.isArray(patterns) &&
+      patterns.length > 0 &&
+      patterns.every((p) => "string" === typeof p && "" !== p)
+  );
+  if (0 === groups.length || !valid) {
+    throw new Error(
+      "thirdParty.groups must map group names to non-empty arrays of URL patterns"
+    );
+  }
+  if (
+    undefined !== config.runs &&
+    !(Number.isInteger(config.runs) && config.runs >= 1)
+  ) {
+    throw new Error("thirdParty.runs must be a positive integer");
+  }
+  return { groups, runs: config.runs || null };
+}
+
+// Points and milliseconds a group costs: blocking it raises the score and
+// lowers the metrics by that much. null where either side has no value.
+function thirdPartyCost(result, blocked) {
+  const difference = (a, b) =>
+    "number" === typeof a && "number" === typeof b ? a - b : null;
+  const metrics = result.metrics || {};
+  const blockedMetrics = blocked.metrics || {};
+  return {
+    performance: difference(blocked.performance, result.performance),
+    ...Object.fromEntries(
+      COST_METRICS.map((key) => [
+        key,
+        difference(metrics[key], blockedMetrics[key]),
+      ])
+    ),
+  };
+}
+
+// Costs of rolling baseline runs, aggregated per group
+function aggregateThirdParty(results, aggregate) {
+  const runs = results.map((r) => r.thirdParty).filter(Boolean);
+  if (0 === runs.length) return null;
+
+  const groups = [...new Set(runs.flatMap((r) => Object.keys(r)))];
+  const thirdParty = {};
+  for (const group of groups) {
+    const costs = runs.map((r) => r[group] && r[group].cost).filter(Boolean);
+    const cost = {};
+    for (const key of ["performance", ...COST_METRICS]) {
+      const values = costs
+        .map((c) => c[key])
+        .filter((value) => "number" === typeof value);
+      cost[key] = values.length > 0 ? Math.round(aggregate(values)) : null;
+    }
+    thirdParty[group] = { cost };
+  }
+  return thirdParty;
+}
+
+// Change of each group's cost against the baseline; a group the baseline
+// didn't measure has none (null)
+function diffThirdParty(current, baseline) {
+  if (!current || !baseline) return null;
+  const diff = {};
+  for (const [group, { cost }] of Object.entries(current)) {
+    const base = baseline[group] && baseline[group].cost;
+    if (!cost || !base) {
+      diff[group] = null;
+      continue;
+    }
+    diff[group] = Object.fromEntries(
+      Object.entries(cost).map(([key, value]) => [
+        key,
+        null === value || null == base[key] ? null : value - base[key],
+      ])
+    );
+  }
+  return diff;
+}
+
+module.exports = {
+  COST_METRICS,
+  thirdPartyConfig,
+  thirdPartyCost,
+  aggregateThirdParty,
+  diffThirdParty,
+};
@@ -0,0 +1,181 @@
+const { CATEGORIES } = require("./categories");
+const { DEFAULT_PROFILE, mergeSettings } = require("./profiles");
+
+const DEFAULT_RUNS = 3;
+
+const KNOWN_FIELDS = [
+  "url",
+  "label",
+  "group",
+  "tags",
+  "runs",
+  "categories",
+  "profiles",
+  "headers",
+  "cookies",
+  "lighthouse",
+  "budgets",
+  "flow",
+  "thirdParty",
+];
+
+class UrlConfigError extends Error {
+  constructor(file, errors) {
+    super(
+      `Invalid ${file}:\n${errors.map((error) => `  - ${error}`).join("\n")}`
+    );
+    this.name = "UrlConfigError";
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) =>
+  null !== value && "object" === typeof value && !Array.isArray(value);
+
+const isStringMap = (value) =>
+  isPlainObject(value) &&
+  Object.values(value).every((v) => "string" === typeof v);
+
+function validateUrl(value) {
+  if ("string" !== typeof value || "" === value) return "url is required";
+  try {
+    const { protocol } = new URL(value);
+    if ("http:" !== protocol && "https:" !== protocol) {
+      return `url must be http(s), got "${value}"`;
+    }
+  } catch (error) {
+    return `url "${value}" is not a valid URL`;
+  }
+  return null;
+}
+
+function validateEntry(entry) {
+  if ("string" === typeof entry) {
+    const error = validateUrl(entry);
+    return error ? [error] : [];
+  }
+  if (!isPlainObject(entry)) {
+    return ["must be a URL string or an object with a url field"];
+  }
+
+  const errors = [];
+  const urlError = validateUrl(entry.url);
+  if (urlError) errors.push(urlError);
+
+  for (const field of Object.keys(entry)) {
+    if (!KNOWN_FIELDS.includes(field)) {
+      errors.push(`unknown field "${field}"`);
+    }
+  }
+  for (const field of ["label", "group", "flow"]) {
+    if (undefined !== entry[field] && "string" !== typeof entry[field]) {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (
+    undefined !== entry.tags &&
+    !(
+      Array.isArray(entry.tags) &&
+      entry.tags.every((tag) => "string" === typeof tag)
+    )
+  ) {
+    errors.push("tags must be an array of strings");
+  }
+  if (
+    undefined !== entry.runs &&
+    !(Number.isInteger(entry.runs) && entry.runs >= 1)
+  ) {
+    errors.push("runs must be a positive integer");
+  }
+  if (undefined !== entry.categories) {
+    const ids = CATEGORIES.map((category) => category.id);
+    if (!Array.isArray(entry.categories) || 0 === entry.categories.length) {
+      errors.push(`categories must be a non-empty array of: ${ids.join(", ")}`);
+    } else {
+      for (const id of entry.categories.filter((c) => !ids.includes(c))) {
+        errors.push(
+          `unknown category "${id}" (expected one of: ${ids.join(", ")})`
+        );
+      }
+    }
+  }
+  if (
+    undefined !== entry.profiles &&
+    !(
+      Array.isArray(entry.profiles) &&
+      entry.profiles.length > 0 &&
+      entry.profiles.every((name) => "string" === typeof name)
+    )
+  ) {
+    errors.push("profiles must be a non-empty array of profile names");
+  }
+  if (undefined !== entry.thirdParty && "boolean" !== typeof entry.thirdParty) {
+    errors.push("thirdParty must be true or false");
+  }
+  for (const field of ["headers", "cookies"]) {
+    if (undefined !== entry[field] && !isStringMap(entry[field])) {
+      errors.push(`${field} must be an object of string values`);
+    }
+  }
+  for (const field of ["lighthouse", "budgets"]) {
+    if (undefined !== entry[field] && !isPlainObject(entry[field])) {
+      errors.push(`${field} must be an object`);
+    }
+  }
+
+  return errors;
+}
+
+function normalizeEntry(entry, defaults = {}) {
+  const normalized = "string" === typeof entry ? { url: entry } : { ...entry };
+  return {
+    ...normalized,
+    runs: normalized.runs || defaults.runs || DEFAULT_RUNS,
+    tags: normalized.tags || [],
+    profile: normalized.profile || DEFAULT_PROFILE,
+  };
+}
+
+// Validates the whole file before normalising, so every problem is reported
+// at once with the index of the offending entry.
+function parseUrlEntries(data, file = "urls.json", defaults = {}) {
+  if (!Array.isArray(data)) {
+    throw new UrlConfigError(file, ["expected a JSON array of URL entries"]);
+  }
+
+  const errors = [];
+  data.forEach((entry, index) => {
+    for (const error of validateEntry(entry)) {
+      errors.push(`entry ${index}: ${error}`);
+    }
+  });
+  if (errors.length > 0) throw new UrlConfigError(file, errors);
+
+  return data.map((entry) => normalizeEntry(entry, defaults));
+}
+
+// Lighthouse run settings derived from an entry: category filter, extra
+// request headers (cookies are sent as a Cookie header) and config settings,
+// i.e. the profile's settings with the entry's own overrides on top.
+function lighthouseSettings(entry, profileSettings = {}) {
+  const headers = { ...entry.headers };
+  if (entry.cookies) {
+    headers.Cookie = Object.entries(entry.cookies)
+      .map(([name, value]) => `${name}=${value}`)
+      .join("; ");
+  }
+
+  return {
+    onlyCategories: entry.categories,
+    extraHeaders: Object.keys(headers).length > 0 ? headers : undefined,
+    overrides: mergeSettings(profileSettings, entry.lighthouse),
+  };
+}
+
+module.exports = {
+  DEFAULT_RUNS,
+  UrlConfigError,
+  parseUrlEntries,
+  normalizeEntry,
+  lighthouseSettings,
+};
@@ -1,134 +1,916 @@
 #!/usr/bin/env node
 
 const fs = require("fs-extra");
-const { exec } = require("child_process");
 const path = require("path");
-const { promisify } = require("util");
+const { BudgetChecker, EXIT_BUDGET_FAILED } = require("./lib/budgets");
+const {
+  METRICS,
+  extractMetrics,
+  aggregateMetrics,
+  rateMetric,
+  formatMetricValue,
+} = require("./lib/metrics");
+const { HistoryStore } = require("./lib/history");
+const {
+  BaselineStore,
+  createMeta,
+  rollingWindowFor,
+  resolveBaseline,
+} = require("./lib/baselines");
+const { renderTrendChart, escapeXml } = require("./lib/charts");
+const { CATEGORIES } = require("./lib/categories");
+const { getAggregator, findOutliers, summarize } = require("./lib/stats");
+const { LighthouseRunner } = require("./lib/lighthouse-runner");
+const { ROOT_DIR } = require("./lib/config");
+const { extractAudits, aggregateAudits } = require("./lib/audits");
+const { Notifier } = require("./lib/notifier");
+const { calculateDelta } = require("./lib/delta");
+const { RunArchive } = require("./lib/run-archive");
+const { loadFlow } = require("./lib/flows");
+const { createReporters } = require("./lib/reporters");
+const { urlKey, KeyManifest, migrateLegacyKeys } = require("./lib/result-keys");
+const {
+  environmentConfig,
+  extractEnvironment,
+  aggregateEnvironment,
+  checkBenchmark,
+  calibrateCpuSlowdown,
+} = require("./lib/environment");
+const {
+  screenshotsConfig,
+  extractScreenshots,
+  representativeRun,
+  compareScreenshots,
+  ScreenshotStore,
+} = require("./lib/screenshots");
+const {
+  COST_METRICS,
+  thirdPartyConfig,
+  thirdPartyCost,
+} = require("./lib/third-party");
+const {
+  RESOURCE_TYPES,
+  extractResources,
+  aggregateResources,
+  formatBytes,
+} = require("./lib/resources");
+const {
+  FAILURE_TYPES,
+  RunFailure,
+  classifyError,
+  classifyRuntimeError,
+  isRetryable,
+  needsRestart,
+  withTimeout,
+} = require("./lib/failures");
+const {
+  parseUrlEntries,
+  normalizeEntry,
+  lighthouseSettings,
+} = require("./lib/url-config");
+const { buildPairs, isHttpUrl } = require("./lib/pairs");
+const { fetchSitemapUrls } = require("./lib/sitemap");
+const { selectUrls, mergeUrlEntries } = require("./lib/discovery");
+const {
+  DEFAULT_PROFILE,
+  validateProfiles,
+  resolveProfileSettings,
+} = require("./lib/profiles");
 
-const execAsync = promisify(exec);
+// Per-run timeout and retries with exponential backoff (5s, 10s, ...)
+const DEFAULT_RUN_TIMEOUT = 180000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 5000;
+
+const RATING_LABELS = {
+  good: "Good",
+  "needs-improvement": "Needs improvement",
+  poor: "Poor",
+  neutral: "N/A",
+};
+
+const STEP_MODES = {
+  navigation: "Navigation",
+  timespan: "Timespan",
+  snapshot: "Snapshot",
+};
+
+function formatScore(score) {
+  if (null == score) return `<span class="score neutral">N/A</span>`;
+  let colorClass = "poor";
+  if (score >= 90) colorClass = "good";
+  else if (score >= 50) colorClass = "needs-improvement";
+  return `<span class="score ${colorClass}">${score}</span>`;
+}
+
+// Changes within the run-to-run noise are greyed out rather than coloured
+// as a regression or improvement.
+function formatScoreDelta(delta, key) {
+  if (!delta || null === delta[key]) return "N/A";
+  const value = delta[key];
+  const sign = value > 0 ? "+" : "";
+  if (delta.significant && !delta.significant[key] && 0 !== value) {
+    return `<span class="neutral" title="Within run-to-run noise (&plusmn;${delta.noise[key]})">${sign}${value} (noise)</span>`;
+  }
+  const colorClass =
+    value > 0 ? "positive" : value < 0 ? "negative" : "neutral";
+  return `<span class="${colorClass}">${sign}${value}</span>`;
+}
 
 class PageSpeedMonitor {
-  constructor() {
-    this.baseDir = path.join(__dirname, "..");
-    this.urlsFile = path.join(this.baseDir, "urls.json");
-    this.baselineDir = path.join(this.baseDir, "baseline");
-    this.latestDir = path.join(this.baseDir, "latest");
-    this.reportsDir = path.join(this.baseDir, "reports");
+  // options are the merged config file and command-line settings, see
+  // lib/config.js and cli.js
+  constructor(options = {}) {
+    this.config = options;
+    this.baseDir = ROOT_DIR;
+    this.outputDir = options.outputDir || this.baseDir;
+    this.urlsFile = options.urlsFile || path.join(this.baseDir, "urls.json");
+    this.baselineDir = path.join(this.outputDir, "baseline");
+    this.latestDir = path.join(this.outputDir, "latest");
+    this.reportsDir = path.join(this.outputDir, "reports");
+    this.comparisonsDir = path.join(this.outputDir, "comparisons");
+    this.history = new HistoryStore(path.join(this.outputDir, "history"));
+    this.baselines = new BaselineStore(this.baselineDir);
+    this.manifest = new KeyManifest(path.join(this.outputDir, "manifest.json"));
+    // Compare against the median of the last runs in history/ instead of
+    // baseline/ when configured
+    this.rollingWindow = rollingWindowFor(options);
+    // Full Lighthouse reports per run, off unless enabled in the config
+    // file or with --archive
+    const archiveConfig = options.archive || {};
+    this.archiveEnabled = Boolean(options.archiveRuns || archiveConfig.enabled);
+    this.runArchive = new RunArchive(
+      path.join(this.outputDir, "runs"),
+      archiveConfig
+    );
+    // Final screenshot and filmstrip of each measurement, see
+    // lib/screenshots.js
+    this.screenshots = screenshotsConfig(options);
+    this.screenshotStore = new ScreenshotStore(
+      path.join(this.outputDir, "screenshots")
+    );
+    // Screenshots of every run until saveScreenshots() keeps those of the
+    // representative one; the others go away with their runs
+    this.capturedScreenshots = new WeakMap();
+    this.aggregation = options.aggregation || "median";
+    this.runDelay = options.runDelay || 0;
+    this.runTimeout =
+      undefined !== options.runTimeout
+        ? options.runTimeout
+        : DEFAULT_RUN_TIMEOUT;
+    this.retries =
+      undefined !== options.retries ? options.retries : DEFAULT_RETRIES;
+    this.retryDelay =
+      undefined !== options.retryDelay
+        ? options.retryDelay
+        : DEFAULT_RETRY_DELAY;
+    this.profileOverride = options.profileOverride || null;
+    this.runsOverride = options.runsOverride || null;
+    this.dryRun = Boolean(options.dryRun);
+    // Benchmark limits and tolerance, see lib/environment.js
+    this.environment = environmentConfig(options);
+    // Extra runs with third-party groups blocked, see lib/third-party.js
+    this.thirdParty = thirdPartyConfig(options);
+    this.notify = false !== options.notify;
+    // Progress events ({ type: "start" | "run" | "result", ... }) for the
+    // live run status of the serve command
+    this.onProgress = options.onProgress || (() => {});
+    // Injectable for replaying recorded results, see lib/replay-runner.js
+    this.runnerFactory = options.createRunner || (() => new LighthouseRunner());
+    this.reporters = createReporters(options.reporters, {
+      customReporters: options.customReporters,
+      reporterOptions: options.reporterOptions,
+    });
+    this.budgets = new BudgetChecker(
+      options.budgetsFile || path.join(this.baseDir, "budgets.json")
+    );
   }
 
+  // Entries are either a URL string or an object with per-URL settings (see
+  // lib/url-config.js); both are normalised to the object form.
   async loadUrls() {
+    let data;
     try {
-      const urlsData = await fs.readFile(this.urlsFile, "utf8");
-      return JSON.parse(urlsData);
+      data = JSON.parse(await fs.readFile(this.urlsFile, "utf8"));
     } catch (error) {
-      console.error("Error loading URLs:", error.message);
-      process.exit(1);
+      throw new Error(`Error loading URLs: ${error.message}`);
+    }
+    return parseUrlEntries(data, path.basename(this.urlsFile), {
+      runs: this.config.runs,
+    });
+  }
+
+  // Results are keyed by URL and profile, e.g.
+  // "redis-io-pricing--afab360f.desktop" (see lib/result-keys.js). The URL
+  // part never contains a dot, so profiles can't collide.
+  resultKey(url, profile = DEFAULT_PROFILE) {
+    return `${urlKey(url)}.${profile}`;
+  }
+
+  // A/B comparisons, e.g. "redis-io-pricing--afab360f.vs.staging-redis-io-pricing--e2b6b9d2.mobile"
+  pairKey(pair, profile = DEFAULT_PROFILE) {
+    return `${urlKey(pair.a.url)}.vs.${urlKey(pair.b.url)}.${profile}`;
+  }
+
+  // Moves results stored before keys had a hash to their current keys
+  async migrateResultKeys() {
+    if (!(await fs.pathExists(this.urlsFile))) return 0;
+    const entries = await this.loadUrls();
+    const { renamed, keys } = await migrateLegacyKeys(
+      this.outputDir,
+      entries.map((entry) => entry.url)
+    );
+    if (renamed > 0) {
+      await this.manifest.register(keys);
+      console.log(
+        `Renamed ${renamed} stored result file(s) to collision-safe keys`
+      );
     }
+    return renamed;
+  }
+
+  urlToFilename(url, profile = DEFAULT_PROFILE) {
+    return `${this.resultKey(url, profile)}.json`;
   }
 
-  urlToFilename(url) {
+  // Precedence: --profile, then the urls.json entry, then the config file
+  profilesFor(entry) {
     return (
-      url.replace(/https?:\/\//, "").replace(/[^a-zA-Z0-9]/g, "-") + ".json"
+      this.profileOverride ||
+      entry.profiles ||
+      this.config.profiles || [DEFAULT_PROFILE]
     );
   }
 
-  async runLighthouse(url) {
-    console.log(`Running Lighthouse for ${url}...`);
+  // urls.json entries, narrowed down by --url and/or --group. A --url that is
+  // not in urls.json is measured with default settings.
+  async selectTargets({ urls = [], group = null } = {}) {
+    const entries = await this.loadUrls();
+    let targets = entries;
 
-    try {
-      const { stdout } = await execAsync(
-        `npx lighthouse "${url}" --output=json --quiet --chrome-flags="--headless --no-sandbox"`,
-        { maxBuffer: 1024 * 1024 * 10 } // 10MB buffer
+    if (urls.length > 0) {
+      targets = urls.map(
+        (url) =>
+          entries.find((entry) => entry.url === url) ||
+          normalizeEntry(url, { runs: this.config.runs })
       );
+    }
+    if (group) {
+      targets = targets.filter(
+        (entry) => entry.group === group || entry.tags.includes(group)
+      );
+      if (0 === targets.length) {
+        throw new Error(`No URLs in group "${group}"`);
+      }
+    }
+    return targets;
+  }
+
+  // Every URL is measured once per profile
+  planMeasurements(targets) {
+    const measurements = targets.flatMap((entry) =>
+      this.profilesFor(entry).map((profile) => ({
+        ...entry,
+        profile,
+        runs: this.runsOverride || entry.runs,
+      }))
+    );
+    validateProfiles(
+      measurements.map((m) => m.profile),
+      this.config.customProfiles
+    );
+    return measurements;
+  }
+
+  createRunner() {
+    return this.runnerFactory();
+  }
 
-      const result = JSON.parse(stdout);
+  // One Lighthouse run with a timeout, retried with exponential backoff.
+  // Throws a classified RunFailure (see lib/failures.js) once the retries
+  // are used up or the failure is not worth retrying, e.g. a 404.
+  // `archive` ({ key, run }) names the run in the run archive.
+  async runLighthouse(url, runner, settings = {}, archive = null) {
+    for (let attempt = 1; ; attempt++) {
+      console.log(`Running Lighthouse for ${url}...`);
+      try {
+        const result = await withTimeout(
+          settings.flow
+            ? runner.runFlow(url, settings.flow, settings)
+            : runner.run(url, settings),
+          this.runTimeout
+        );
+        const run = {
+          ...(settings.flow
+            ? this.summarizeFlow(result)
+            : this.summarizeLhr(result)),
+          timestamp: new Date().toISOString(),
+          ...(attempt > 1 ? { attempts: attempt } : {}),
+        };
+        this.checkEnvironment(run, settings);
+        if (this.screenshots) {
+          const screenshots = extractScreenshots(
+            settings.flow ? this.primaryLhr(result) : result
+          );
+          if (screenshots) this.capturedScreenshots.set(run, screenshots);
+        }
+        if (this.archiveEnabled && archive) {
+          run.archive = await this.archiveRun(archive, result);
+        }
+        return run;
+      } catch (error) {
+        const failure = classifyError(error);
+        failure.attempts = attempt;
+        console.error(
+          `Error running Lighthouse for ${url} (${failure.type}):`,
+          failure.message
+        );
+        if (needsRestart(failure)) {
+          await runner.stop().catch(() => {});
+        }
+        if (attempt > this.retries || !isRetryable(failure)) throw failure;
 
-      // Handle different Lighthouse output formats
-      const categories = result.categories;
-      if (!categories) {
-        throw new Error(
-          "Invalid Lighthouse result format - no categories found"
+        const delay = this.retryDelay * 2 ** (attempt - 1);
+        console.log(
+          `  Retrying in ${delay / 1000}s (attempt ${attempt + 1}/${
+            this.retries + 1
+          })`
         );
+        await new Promise((resolve) => setTimeout(resolve, delay));
       }
-      return {
-        performance: Math.round((categories.performance?.score || 0) * 100),
-        accessibility: Math.round((categories.accessibility?.score || 0) * 100),
-        bestPractices: Math.round(
-          (categories["best-practices"]?.score || 0) * 100
-        ),
-        seo: Math.round((categories.seo?.score || 0) * 100),
-        timestamp: new Date().toISOString(),
-      };
-    } catch (error) {
-      console.error(`Error running Lighthouse for ${url}:`, error.message);
+    }
+  }
+
+  // Scores, metrics and failing audits of one Lighthouse result
+  summarizeLhr(lhr) {
+    // Page load problems don't throw; Lighthouse reports them here and
+    // leaves the category scores empty
+    if (lhr.runtimeError) {
+      throw classifyRuntimeError(lhr.runtimeError);
+    }
+    const categories = lhr.categories;
+    if (!categories) {
+      throw new Error("Invalid Lighthouse result format - no categories found");
+    }
+    // Categories left out of the run (see "categories" in urls.json) are
+    // null rather than 0 so they don't count as a regression. So is
+    // Performance of timespan and snapshot steps: Lighthouse scores it 0
+    // there, as none of its metrics are measured. Results from before
+    // gatherMode existed are navigations.
+    const scores = {};
+    for (const { key, id } of CATEGORIES) {
+      scores[key] = categories[id]
+        ? Math.round((categories[id].score || 0) * 100)
+        : null;
+    }
+    if (lhr.gatherMode && "navigation" !== lhr.gatherMode) {
+      scores.performance = null;
+    }
+    return {
+      ...scores,
+      metrics: extractMetrics(lhr.audits),
+      audits: extractAudits(lhr),
+      resources: extractResources(lhr),
+      environment: extractEnvironment(lhr),
+    };
+  }
+
+  // Flags a run on a machine outside the configured benchmark range, or
+  // fails it with "reject" so it is retried
+  checkEnvironment(run, settings) {
+    const { environment } = run;
+    if (!environment) return;
+    if (settings.calibrated) {
+      environment.calibrated = true;
+      return;
+    }
+    const problem = checkBenchmark(environment, this.environment.range);
+    if (!problem) return;
+    if ("reject" === this.environment.range.action) {
+      throw new RunFailure("benchmark", `Machine ${problem}`, {
+        code: "BENCHMARK_OUT_OF_RANGE",
+      });
+    }
+    environment.outOfRange = problem;
+    console.warn(`  ⚠️  Machine ${problem}`);
+  }
+
+  // With "normalize", the first run on a machine outside the benchmark
+  // range is repeated with calibrated CPU throttling, which the remaining
+  // runs of the URL keep. null when no calibration is needed.
+  calibrateSettings(settings, run) {
+    const range = this.environment.range;
+    const environment = run.environment;
+    if (!range || "normalize" !== range.action || settings.calibrated) {
       return null;
     }
+    if (!environment || !environment.outOfRange) return null;
+
+    const overrides = settings.overrides || {};
+    const current = (environment.throttling || {}).cpuSlowdownMultiplier || 1;
+    const multiplier = calibrateCpuSlowdown(
+      current,
+      environment.benchmarkIndex,
+      range
+    );
+    console.log(`  CPU slowdown ${current} → ${multiplier}, repeating the run`);
+    return {
+      ...settings,
+      calibrated: true,
+      overrides: {
+        ...overrides,
+        throttling: {
+          ...overrides.throttling,
+          cpuSlowdownMultiplier: multiplier,
+        },
+      },
+    };
+  }
+
+  // A user flow run has a result per measured step. The first navigation
+  // (or the first step without one) stands for the whole flow in budgets,
+  // history and the dashboard.
+  summarizeFlow(flowResult) {
+    const steps = flowResult.steps.map(({ name, lhr }) => ({
+      name,
+      mode: lhr.gatherMode,
+      ...this.summarizeLhr(lhr),
+    }));
+    const primary =
+      steps.find((step) => "navigation" === step.mode) || steps[0];
+    const { name, mode, ...summary } = primary;
+    return { ...summary, steps };
   }
 
-  async runMultipleLighthouse(url, runs = 3) {
-    console.log(`Testing ${url} (${runs} runs)...`);
+  // The Lighthouse result of the step summarizeFlow() picks
+  primaryLhr(flowResult) {
+    const primary =
+      flowResult.steps.find(({ lhr }) => "navigation" === lhr.gatherMode) ||
+      flowResult.steps[0];
+    return primary.lhr;
+  }
+
+  async runMultipleLighthouse(target, runner = null) {
+    const entry = normalizeEntry(target);
+    const { url, runs, profile } = entry;
+    let settings = lighthouseSettings(
+      entry,
+      await resolveProfileSettings(profile, this.config.customProfiles)
+    );
+    if (entry.flow) settings.flow = await this.loadFlow(entry.flow);
+    console.log(`Testing ${url} [${profile}] (${runs} runs)...`);
     const results = [];
+    const failures = [];
+    let blocked = null;
 
-    for (let i = 1; i <= runs; i++) {
-      console.log(`  Run ${i}/${runs}`);
-      const result = await this.runLighthouse(url);
-      if (result) {
-        results.push(result);
-      }
+    // Callers measuring several URLs pass in a runner so Chrome is reused
+    const ownRunner = !runner;
+    runner = runner || this.createRunner();
+
+    try {
+      for (let i = 1; i <= runs; i++) {
+        console.log(`  Run ${i}/${runs} (${url})`);
+        this.onProgress({ type: "run", url, profile, run: i, runs });
+        try {
+          const run = await this.runLighthouse(url, runner, settings, {
+            key: this.resultKey(url, profile),
+            run: i,
+          });
+          const calibrated = this.calibrateSettings(settings, run);
+          if (calibrated) {
+            // The discarded run isn't part of the result, so neither is
+            // its archived report
+            if (run.archive) {
+              await this.discardArchivedRun(
+                this.resultKey(url, profile),
+                run.archive
+              );
+            }
+            settings = calibrated;
+            i--;
+            continue;
+          }
+          results.push(run);
+        } catch (failure) {
+          failures.push(this.failureRecord(failure, i));
+        }
 
-      // Small delay between runs
-      if (i < runs) {
-        await new Promise((resolve) => setTimeout(resolve, 2000));
+        if (i < runs && this.runDelay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, this.runDelay));
+        }
       }
+      if (results.length > 0 && this.measuresThirdParty(entry)) {
+        blocked = await this.measureThirdParty(entry, runner, settings);
+      }
+    } finally {
+      if (ownRunner) await runner.stop();
     }
 
     if (0 === results.length) {
       console.error(`All Lighthouse runs failed for ${url}`);
-      return null;
+      this.onProgress({ type: "result", url, profile, status: "failed" });
+      return this.failedResult(entry, failures);
     }
 
-    // Calculate averages
-    const averaged = {
+    const aggregated = this.aggregateResults(entry, results, failures);
+    await this.saveScreenshots(aggregated, results);
+    if (blocked) {
+      aggregated.thirdParty = Object.fromEntries(
+        Object.entries(blocked).map(([group, result]) => [
+          group,
+          { ...result, cost: thirdPartyCost(aggregated, result) },
+        ])
+      );
+    }
+    this.onProgress({
+      type: "result",
       url,
-      runs: results.length,
-      performance: Math.round(
-        results.reduce((sum, r) => sum + r.performance, 0) / results.length
+      profile,
+      status: aggregated.status,
+      scores: Object.fromEntries(
+        CATEGORIES.map(({ key }) => [key, aggregated[key]])
       ),
-      accessibility: Math.round(
-        results.reduce((sum, r) => sum + r.accessibility, 0) / results.length
-      ),
-      bestPractices: Math.round(
-        results.reduce((sum, r) => sum + r.bestPractices, 0) / results.length
-      ),
-      seo: Math.round(
-        results.reduce((sum, r) => sum + r.seo, 0) / results.length
+    });
+
+    console.log(
+      `  Aggregated scores (${this.aggregation}): P:${aggregated.performance} A:${aggregated.accessibility} BP:${aggregated.bestPractices} SEO:${aggregated.seo}`
+    );
+    if (aggregated.outliers.length > 0) {
+      console.log(
+        `  Dropped ${
+          aggregated.outliers.length
+        } outlier run(s): ${aggregated.outliers
+          .map((index) => index + 1)
+          .join(", ")}`
+      );
+    }
+    console.log(
+      `  Aggregated metrics: ${METRICS.map(
+        (metric) =>
+          `${metric.key}:${formatMetricValue(
+            metric,
+            aggregated.metrics[metric.key]
+          )}`
+      ).join(" ")}`
+    );
+    return aggregated;
+  }
+
+  // Flows and URLs that don't measure performance are left out, as is any
+  // URL with "thirdParty": false in urls.json
+  measuresThirdParty(entry) {
+    return (
+      null !== this.thirdParty &&
+      false !== entry.thirdParty &&
+      !entry.flow &&
+      (!entry.categories || entry.categories.includes("performance"))
+    );
+  }
+
+  // Performance-only runs with each group blocked in turn. A group whose
+  // runs all fail gets no score and so no cost.
+  async measureThirdParty({ url, profile, runs }, runner, settings) {
+    const aggregate = getAggregator(this.aggregation);
+    const count = this.thirdParty.runs || runs;
+    const blocked = {};
+    for (const [group, patterns] of this.thirdParty.groups) {
+      const overrides = settings.overrides || {};
+      const blockedSettings = {
+        ...settings,
+        onlyCategories: ["performance"],
+        overrides: {
+          ...overrides,
+          blockedUrlPatterns: [
+            ...(overrides.blockedUrlPatterns || []),
+            ...patterns,
+          ],
+        },
+      };
+      const groupRuns = [];
+      for (let i = 1; i <= count; i++) {
+        console.log(`  Run ${i}/${count} without ${group} (${url})`);
+        this.onProgress({
+          type: "run",
+          url,
+          profile,
+          run: i,
+          runs: count,
+          blocked: group,
+        });
+        try {
+          groupRuns.push(
+            await this.runLighthouse(url, runner, blockedSettings)
+          );
+        } catch (failure) {
+          // Already logged; the regular runs decide the URL's status
+        }
+      }
+
+      const scores = groupRuns
+        .map((r) => r.performance)
+        .filter((value) => "number" === typeof value);
+      const metrics = aggregateMetrics(groupRuns, aggregate);
+      blocked[group] = {
+        patterns,
+        runs: groupRuns.length,
+        performance: scores.length > 0 ? Math.round(aggregate(scores)) : null,
+        metrics: Object.fromEntries(
+          COST_METRICS.map((key) => [key, metrics[key]])
+        ),
+      };
+    }
+    return blocked;
+  }
+
+  // Runs both sides of an A/B pair alternately (A B, B A, A B, ...) in the
+  // same browser, so drift over time such as server load affects both sides
+  // equally instead of skewing whichever side was measured last.
+  async measurePair(pair, runner) {
+    const { profile, runs } = pair;
+    const profileSettings = await resolveProfileSettings(
+      profile,
+      this.config.customProfiles
+    );
+    const sides = ["a", "b"].map((side) => ({
+      side,
+      entry: { ...pair[side], profile },
+      settings: lighthouseSettings(pair[side], profileSettings),
+      results: [],
+    }));
+    console.log(
+      `Comparing ${pair.a.url} with ${pair.b.url} [${profile}] (${runs} runs each)...`
+    );
+
+    for (let i = 1; i <= runs; i++) {
+      const order = 1 === i % 2 ? sides : [...sides].reverse();
+      for (const { side, entry, settings, results } of order) {
+        console.log(`  Run ${i}/${runs} ${side.toUpperCase()} (${entry.url})`);
+        try {
+          results.push(await this.runLighthouse(entry.url, runner, settings));
+        } catch (failure) {
+          // Only complete pairs are compared; failures are logged above
+        }
+
+        if (this.runDelay > 0) {
+          await new Promise((resolve) => setTimeout(resolve, this.runDelay));
+        }
+      }
+    }
+
+    const failed = sides.find(({ results }) => 0 === results.length);
+    if (failed) {
+      console.error(`All Lighthouse runs failed for ${failed.entry.url}`);
+      return null;
+    }
+    const [a, b] = sides.map(({ entry, results }) =>
+      this.aggregateResults(entry, results)
+    );
+    return { a, b };
+  }
+
+  // A run is an outlier when any category score is far from the other runs.
+  // Outliers stay in rawResults (flagged) but are left out of the aggregate,
+  // unless dropping them would leave fewer than two runs.
+  aggregateResults(target, results, failures = []) {
+    const { url, label, group, tags, profile } = normalizeEntry(target);
+    const aggregate = getAggregator(this.aggregation);
+    const isScore = (value) => "number" === typeof value;
+
+    const outlierSet = new Set();
+    for (const { key } of CATEGORIES) {
+      const values = results.map((r) => r[key]);
+      if (!values.every(isScore)) continue;
+      findOutliers(values).forEach((index) => outlierSet.add(index));
+    }
+    const outliers =
+      results.length - outlierSet.size >= 2
+        ? [...outlierSet].sort((a, b) => a - b)
+        : [];
+    const kept = results.filter((r, index) => !outliers.includes(index));
+
+    const aggregated = {
+      url,
+      label,
+      group,
+      tags,
+      profile,
+      // "partial" when some runs failed even after retries
+      status: failures.length > 0 ? "partial" : "ok",
+      runs: kept.length,
+      aggregation: this.aggregation,
+    };
+    const stats = {};
+    for (const { key } of CATEGORIES) {
+      const values = kept.map((r) => r[key]).filter(isScore);
+      aggregated[key] =
+        values.length > 0 ? Math.round(aggregate(values)) : null;
+      stats[key] = values.length > 0 ? summarize(values) : null;
+    }
+
+    return {
+      ...aggregated,
+      metrics: aggregateMetrics(kept, aggregate),
+      audits: aggregateAudits(kept),
+      resources: aggregateResources(kept, aggregate),
+      environment: aggregateEnvironment(kept),
+      stats,
+      outliers,
+      failures,
+      ...(results[0].steps
+        ? { steps: this.aggregateSteps(target, results) }
+        : {}),
+      timestamp: new Date().toISOString(),
+      rawResults: results.map((r, index) =>
+        outliers.includes(index) ? { ...r, outlier: true } : r
       ),
+    };
+  }
+
+  // Every step of a flow is aggregated across the runs like a URL of its
+  // own, with its own outliers and spread. The raw step results stay in the
+  // flow's rawResults.
+  aggregateSteps(target, results) {
+    return results[0].steps.map(({ name, mode }, index) => {
+      const aggregated = this.aggregateResults(
+        target,
+        results.map((r) => r.steps[index])
+      );
+      const step = { name, mode };
+      for (const { key } of CATEGORIES) step[key] = aggregated[key];
+      const { runs, metrics, audits, stats, outliers } = aggregated;
+      return { ...step, runs, metrics, audits, stats, outliers };
+    });
+  }
+
+  // Flow files are resolved relative to urls.json
+  async loadFlow(file) {
+    return loadFlow(path.resolve(path.dirname(this.urlsFile), file));
+  }
+
+  // Stores the screenshots of the representative run and refers to them
+  // from the result. Best effort like the run archive.
+  async saveScreenshots(aggregated, results) {
+    const run = representativeRun(results, aggregated);
+    const screenshots =
+      null === run ? null : this.capturedScreenshots.get(results[run]);
+    if (!screenshots) return;
+    const key = this.resultKey(aggregated.url, aggregated.profile);
+    try {
+      const id = await this.screenshotStore.save(key, screenshots);
+      aggregated.screenshots = { id, run: run + 1 };
+    } catch (error) {
+      console.warn(`⚠️  Could not save screenshots of ${key}:`, error.message);
+    }
+  }
+
+  // Keeps the screenshots that the latest result, the baseline, its
+  // archived versions and, with a rolling baseline, the runs of its window
+  // refer to
+  async pruneScreenshots(results) {
+    for (const { url, profile } of results) {
+      const key = this.resultKey(url, profile);
+      const archiveDir = this.baselines.archiveDirFor(key);
+      const archived = [];
+      for (const file of await this.baselines.listArchived(key)) {
+        archived.push(await fs.readJson(path.join(archiveDir, file)));
+      }
+      const referenced = [
+        await this.loadResult(this.latestDir, url, profile),
+        await this.baselines.load(key),
+        ...archived,
+        ...(this.rollingWindow
+          ? await this.history.load(key, this.rollingWindow)
+          : []),
+      ];
+      const keep = new Set(
+        referenced
+          .filter((result) => result && result.screenshots)
+          .map((result) => result.screenshots.id)
+      );
+      await this.screenshotStore.prune(key, keep);
+    }
+  }
+
+  // Screenshots of a result and its baseline with the difference between
+  // their final screenshots, null when disabled
+  async loadScreenshots(key, result, baseline) {
+    if (!this.screenshots) return null;
+    const current = await this.screenshotStore.load(key, result);
+    const previous = await this.screenshotStore.load(key, baseline);
+    if (!current && !previous) return null;
+    return {
+      current,
+      baseline: previous,
+      comparison: compareScreenshots(current, previous, this.screenshots),
+    };
+  }
+
+  // Archiving is best effort; a full disk must not fail the measurement
+  async archiveRun({ key, run }, lhr) {
+    try {
+      return await this.runArchive.save(key, lhr, run);
+    } catch (error) {
+      console.warn(
+        `⚠️  Could not archive run ${run} of ${key}:`,
+        error.message
+      );
+      return undefined;
+    }
+  }
+
+  async discardArchivedRun(key, id) {
+    try {
+      await this.runArchive.remove(key, id);
+    } catch (error) {
+      console.warn(`⚠️  Could not remove run ${id} of ${key}:`, error.message);
+    }
+  }
+
+  failureRecord(failure, run) {
+    return {
+      run,
+      ...classifyError(failure).toJSON(),
+      attempts: failure.attempts || 1,
       timestamp: new Date().toISOString(),
-      rawResults: results,
     };
+  }
 
-    console.log(
-      `  Averaged scores: P:${averaged.performance} A:${averaged.accessibility} BP:${averaged.bestPractices} SEO:${averaged.seo}`
-    );
-    return averaged;
+  // Saved like a regular result so the URL shows up as failed in the
+  // reports instead of keeping its previous scores
+  failedResult(target, failures) {
+    const { url, label, group, tags, profile } = normalizeEntry(target);
+    const empty = Object.fromEntries(CATEGORIES.map(({ key }) => [key, null]));
+    return {
+      url,
+      label,
+      group,
+      tags,
+      profile,
+      status: "failed",
+      runs: 0,
+      aggregation: this.aggregation,
+      ...empty,
+      metrics: Object.fromEntries(METRICS.map(({ key }) => [key, null])),
+      audits: null,
+      stats: empty,
+      outliers: [],
+      failures,
+      timestamp: new Date().toISOString(),
+      rawResults: [],
+    };
+  }
+
+  // One URL after the other with one Chrome instance. Lighthouse runs in
+  // this process, so URLs measured side by side would skew each other's
+  // timings.
+  async measureUrls(entries) {
+    const results = [];
+    const runner = this.createRunner();
+    try {
+      for (const entry of entries) {
+        results.push(await this.runMultipleLighthouse(entry, runner));
+      }
+    } finally {
+      await runner.stop();
+    }
+    return results.filter(Boolean);
   }
 
-  async saveResults(results, isBaseline = false) {
-    const targetDir = isBaseline ? this.baselineDir : this.latestDir;
+  // Baselines need meta (see lib/baselines.js); the baseline they replace
+  // is archived.
+  async saveResults(results, isBaseline = false, meta = null) {
+    // A fresh --output-dir starts out empty
+    await fs.ensureDir(this.latestDir);
+    await this.manifest.register(
+      Object.fromEntries(
+        results.map((r) => [this.resultKey(r.url, r.profile), r.url])
+      )
+    );
 
     for (const result of results) {
-      const filename = this.urlToFilename(result.url);
-      const filepath = path.join(targetDir, filename);
-      await fs.writeFile(filepath, JSON.stringify(result, null, 2));
+      const key = this.resultKey(result.url, result.profile);
+      const filename = this.urlToFilename(result.url, result.profile);
+      if (isBaseline) {
+        await this.baselines.save(key, result, meta);
+      } else {
+        await fs.writeFile(
+          path.join(this.latestDir, filename),
+          JSON.stringify(result, null, 2)
+        );
+      }
+      await this.history.append(
+        this.resultKey(result.url, result.profile),
+        result,
+        isBaseline ? "baseline" : "latest"
+      );
       console.log(
         `Saved ${isBaseline ? "baseline" : "latest"} results to ${filename}`
       );
     }
   }
 
-  async loadBaseline(url) {
-    const filename = this.urlToFilename(url);
-    const filepath = path.join(this.baselineDir, filename);
+  async loadResult(dir, url, profile) {
+    const filepath = path.join(dir, this.urlToFilename(url, profile));
 
     try {
       const data = await fs.readFile(filepath, "utf8");
@@ -138,38 +920,69 @@ class PageSpeedMonitor {
     }
   }
 
-  calculateDelta(current, baseline) {
-    if (!baseline) return null;
+  // See resolveBaseline() in lib/baselines.js for `before`
+  async loadBaseline(url, profile = DEFAULT_PROFILE, before = null) {
+    return resolveBaseline(
+      this.baselines,
+      this.history,
+      this.resultKey(url, profile),
+      { rollingWindow: this.rollingWindow, before }
+    );
+  }
 
-    return {
-      performance: current.performance - baseline.performance,
-      accessibility: current.accessibility - baseline.accessibility,
-      bestPractices: current.bestPractices - baseline.bestPractices,
-      seo: current.seo - baseline.seo,
-    };
+  // Latest results of every profile measured for a URL, for the side by side
+  // comparison in the report
+  async loadProfileResults(url) {
+    if (!(await fs.pathExists(this.latestDir))) return [];
+
+    const prefix = this.resultKey(url, "");
+    const results = [];
+    for (const file of await fs.readdir(this.latestDir)) {
+      const match = file.match(/^([^.]+)\.([a-z0-9-]+)\.json$/);
+      if (match && `${match[1]}.` === prefix) {
+        const result = await this.loadResult(this.latestDir, url, match[2]);
+        if (result) results.push({ profile: match[2], ...result });
+      }
+    }
+    return results;
   }
 
-  generateHtmlReport(current, baseline, delta) {
-    const formatDelta = (value) => {
-      if (null === value) return "N/A";
-      const sign = value > 0 ? "+" : "";
-      const colorClass =
-        value > 0 ? "positive" : value < 0 ? "negative" : "neutral";
-      return `<span class="${colorClass}">${sign}${value}</span>`;
-    };
+  calculateDelta(current, baseline) {
+    return calculateDelta(current, baseline, {
+      benchmarkTolerance: this.environment.tolerance,
+    });
+  }
 
-    const formatScore = (score) => {
-      let colorClass = "poor";
-      if (score >= 90) colorClass = "good";
-      else if (score >= 50) colorClass = "needs-improvement";
-      return `<span class="score ${colorClass}">${score}</span>`;
+  // options label the two sides and title the page, so A/B comparisons can
+  // reuse this layout with "A" and "B" in place of baseline and current
+  generateHtmlReport(
+    current,
+    baseline,
+    delta,
+    history = [],
+    profiles = [],
+    options = {}
+  ) {
+    const {
+      title = "PageSpeed Report",
+      baselineLabel = "Baseline",
+      currentLabel = "Current",
+      description = "",
+    } = options;
+
+    const formatDelta = (key) => formatScoreDelta(delta, key);
+
+    const formatSpread = (key) => {
+      const stats = current.stats && current.stats[key];
+      if (!stats) return "N/A";
+      return `${stats.min}&ndash;${stats.max} (&plusmn;${stats.stddev})`;
     };
 
     return `
 <!DOCTYPE html>
 <html>
 <head>
-    <title>PageSpeed Report - ${current.url}</title>
+    <title>${title} - ${escapeXml(current.label || current.url)}</title>
     <style>
         body { font-family: Arial, sans-serif; margin: 20px; }
         .header { background: #f5f5f5; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
@@ -182,58 +995,124 @@ class PageSpeedMonitor {
         .negative { color: #d93025; font-weight: bold; }
         .neutral { color: #666; }
         .timestamp { color: #666; font-size: 0.9em; }
+        .spread { color: #666; font-size: 0.9em; }
+        .change { display: inline-block; padding: 2px 8px; border-radius: 4px; font-size: 0.85em; font-weight: bold; }
+        .change.new, .change.worse { background: #fce8e6; color: #d93025; }
+        .change.fixed, .change.better { background: #e6f4ea; color: #0c7e3e; }
         table { width: 100%; border-collapse: collapse; margin-top: 20px; }
         th, td { border: 1px solid #ddd; padding: 10px; text-align: left; }
         th { background-color: #f5f5f5; }
+        .trends { display: grid; grid-template-columns: repeat(auto-fit, minmax(330px, 1fr)); gap: 15px; margin-top: 10px; }
+        .verdict { display: inline-block; padding: 4px 12px; border-radius: 4px; font-weight: bold; text-transform: uppercase; }
+        .verdict.pass { background: #e6f4ea; color: #0c7e3e; }
+        .verdict.warn { background: #fef3e0; color: #e67e22; }
+        .verdict.fail { background: #fce8e6; color: #d93025; }
+        .failures { border-left: 4px solid #e67e22; background: #fef3e0; padding: 10px 15px; margin-bottom: 20px; }
+        .failures.failed { border-color: #d93025; background: #fce8e6; }
+        .over-budget td { background: #fce8e6; color: #d93025; font-weight: bold; }
+        .flow-step { border-top: 1px solid #ddd; margin-top: 20px; }
+        .mode { display: inline-block; padding: 2px 8px; border-radius: 4px; background: #f5f5f5; color: #666; font-size: 0.7em; font-weight: normal; }
+        .filmstrip { display: flex; gap: 6px; overflow-x: auto; }
+        .filmstrip figure { margin: 0; text-align: center; color: #666; font-size: 0.8em; }
+        .filmstrip img { height: 120px; border: 1px solid #ddd; }
+        .final-screenshots { display: grid; grid-template-columns: repeat(2, minmax(0, 1fr)); gap: 15px; }
+        .final-screenshots img { max-width: 100%; max-height: 500px; border: 1px solid #ddd; }
     </style>
 </head>
 <body>
     <div class="header">
-        <h1>PageSpeed Report</h1>
-        <h2>${current.url}</h2>
+        <h1>${title}</h1>
+        <h2>${escapeXml(current.label || current.url)}</h2>
+        ${current.label ? `<p>${escapeXml(current.url)}</p>` : ""}
+        ${description}
+        ${
+          current.group || (current.tags && current.tags.length > 0)
+            ? `<p>${[current.group, ...(current.tags || [])]
+                .filter(Boolean)
+                .map(escapeXml)
+                .join(" &middot; ")}</p>`
+            : ""
+        }
+        <p>Profile: <strong>${current.profile || DEFAULT_PROFILE}</strong></p>
         <p class="timestamp">Generated: ${current.timestamp}</p>
-        <p>Based on ${current.runs} Lighthouse runs (averaged)</p>
+        <p>Based on ${current.runs} Lighthouse runs (${
+      current.aggregation || "mean"
+    })${
+      current.outliers && current.outliers.length > 0
+        ? `, ${current.outliers.length} outlier run(s) dropped`
+        : ""
+    }</p>
+        ${
+          current.budget
+            ? `<p>Budget: <span class="verdict ${current.budget.status}">${current.budget.status}</span></p>`
+            : ""
+        }
     </div>
 
+    ${this.generateFailuresSection(current)}
+
+    ${this.generateEnvironmentWarning(current, delta)}
+
     <div class="metrics">
         <div class="metric">
             <h3>Performance</h3>
-            <p>Current: ${formatScore(current.performance)}</p>
+            <p>${currentLabel}: ${formatScore(current.performance)}</p>
             ${
               baseline
-                ? `<p>Baseline: ${formatScore(baseline.performance)}</p>`
+                ? `<p>${baselineLabel}: ${formatScore(
+                    baseline.performance
+                  )}</p>`
                 : ""
             }
-            <p>Delta: ${formatDelta(delta ? delta.performance : null)}</p>
+            <p>Delta: ${formatDelta("performance")}</p>
+            <p class="spread">Runs: ${formatSpread("performance")}</p>
         </div>
         <div class="metric">
             <h3>Accessibility</h3>
-            <p>Current: ${formatScore(current.accessibility)}</p>
+            <p>${currentLabel}: ${formatScore(current.accessibility)}</p>
             ${
               baseline
-                ? `<p>Baseline: ${formatScore(baseline.accessibility)}</p>`
+                ? `<p>${baselineLabel}: ${formatScore(
+                    baseline.accessibility
+                  )}</p>`
                 : ""
             }
-            <p>Delta: ${formatDelta(delta ? delta.accessibility : null)}</p>
+            <p>Delta: ${formatDelta("accessibility")}</p>
+            <p class="spread">Runs: ${formatSpread("accessibility")}</p>
         </div>
         <div class="metric">
             <h3>Best Practices</h3>
-            <p>Current: ${formatScore(current.bestPractices)}</p>
+            <p>${currentLabel}: ${formatScore(current.bestPractices)}</p>
             ${
               baseline
-                ? `<p>Baseline: ${formatScore(baseline.bestPractices)}</p>`
+                ? `<p>${baselineLabel}: ${formatScore(
+                    baseline.bestPractices
+                  )}</p>`
                 : ""
             }
-            <p>Delta: ${formatDelta(delta ? delta.bestPractices : null)}</p>
+            <p>Delta: ${formatDelta("bestPractices")}</p>
+            <p class="spread">Runs: ${formatSpread("bestPractices")}</p>
         </div>
         <div class="metric">
             <h3>SEO</h3>
-            <p>Current: ${formatScore(current.seo)}</p>
-            ${baseline ? `<p>Baseline: ${formatScore(baseline.seo)}</p>` : ""}
-            <p>Delta: ${formatDelta(delta ? delta.seo : null)}</p>
+            <p>${currentLabel}: ${formatScore(current.seo)}</p>
+            ${
+              baseline
+                ? `<p>${baselineLabel}: ${formatScore(baseline.seo)}</p>`
+                : ""
+            }
+            <p>Delta: ${formatDelta("seo")}</p>
+            <p class="spread">Runs: ${formatSpread("seo")}</p>
         </div>
     </div>
 
+    ${
+      baseline && (baseline.meta || baseline.rolling)
+        ? `<p class="timestamp">${
+            baseline.rolling ? "Rolling baseline" : "Baseline"
+          }: ${escapeXml(this.describeBaseline(baseline))}</p>`
+        : ""
+    }
     ${
       baseline
         ? `
@@ -241,9 +1120,10 @@ class PageSpeedMonitor {
         <thead>
             <tr>
                 <th>Metric</th>
-                <th>Baseline</th>
-                <th>Current</th>
+                <th>${baselineLabel}</th>
+                <th>${currentLabel}</th>
                 <th>Change</th>
+                <th>Spread (min&ndash;max, &plusmn;sd)</th>
             </tr>
         </thead>
         <tbody>
@@ -251,99 +1131,1228 @@ class PageSpeedMonitor {
                 <td>Performance</td>
                 <td>${formatScore(baseline.performance)}</td>
                 <td>${formatScore(current.performance)}</td>
-                <td>${formatDelta(delta.performance)}</td>
+                <td>${formatDelta("performance")}</td>
+                <td>${formatSpread("performance")}</td>
             </tr>
             <tr>
                 <td>Accessibility</td>
                 <td>${formatScore(baseline.accessibility)}</td>
                 <td>${formatScore(current.accessibility)}</td>
-                <td>${formatDelta(delta.accessibility)}</td>
+                <td>${formatDelta("accessibility")}</td>
+                <td>${formatSpread("accessibility")}</td>
             </tr>
             <tr>
                 <td>Best Practices</td>
                 <td>${formatScore(baseline.bestPractices)}</td>
                 <td>${formatScore(current.bestPractices)}</td>
-                <td>${formatDelta(delta.bestPractices)}</td>
+                <td>${formatDelta("bestPractices")}</td>
+                <td>${formatSpread("bestPractices")}</td>
             </tr>
             <tr>
                 <td>SEO</td>
                 <td>${formatScore(baseline.seo)}</td>
                 <td>${formatScore(current.seo)}</td>
-                <td>${formatDelta(delta.seo)}</td>
+                <td>${formatDelta("seo")}</td>
+                <td>${formatSpread("seo")}</td>
             </tr>
         </tbody>
     </table>
     `
-        : "<p><em>No baseline data available. Run with --update-baseline to establish baseline.</em></p>"
+        : "<p><em>No baseline data available. Run the baseline command to establish one.</em></p>"
     }
+
+    ${this.generateFlowStepsSection(current, baseline, delta, options)}
+
+    ${this.generateProfilesSection(current, profiles)}
+
+    ${this.generateMetricsSection(current, baseline, delta, options)}
+
+    ${this.generateVisualChangeNote(current, baseline, options.screenshots)}
+
+    ${this.generateScreenshotsSection(options.screenshots, options)}
+
+    ${this.generateAuditChangesSection(current, baseline, delta, options)}
+
+    ${this.generateTrendSection(history, baseline)}
+
+    ${this.generateRunsSection(current, options.archivedRuns)}
+
+    ${this.generateEnvironmentSection(current, baseline)}
+
+    ${this.generateResourcesSection(current, baseline, delta)}
+
+    ${this.generateThirdPartySection(current, baseline, delta)}
+
+    ${current.budget ? this.generateBudgetSection(current.budget) : ""}
 </body>
 </html>`;
   }
 
+  // Runs that failed even after retries. A fully failed URL has no scores,
+  // so this is the main content of its report.
+  generateFailuresSection(current) {
+    const failures = current.failures || [];
+    if (0 === failures.length) return "";
+
+    const failed = "failed" === current.status;
+    return `
+    <div class="failures ${failed ? "failed" : "partial"}">
+        <h3>${
+          failed
+            ? "Measurement failed: no Lighthouse run succeeded"
+            : `Partially measured: ${failures.length} of ${
+                failures.length + (current.rawResults || []).length
+              } runs failed`
+        }</h3>
+        <table>
+            <thead>
+                <tr>
+                    <th>Run</th>
+                    <th>Failure</th>
+                    <th>Code</th>
+                    <th>Attempts</th>
+                    <th>Message</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${failures
+                  .map(
+                    (failure) => `
+                <tr>
+                    <td>${failure.run}</td>
+                    <td>${FAILURE_TYPES[failure.type] || failure.type}${
+                      failure.status ? ` (${failure.status})` : ""
+                    }</td>
+                    <td>${failure.code || "&ndash;"}</td>
+                    <td>${failure.attempts}</td>
+                    <td>${escapeXml(failure.message)}</td>
+                </tr>`
+                  )
+                  .join("")}
+            </tbody>
+        </table>
+    </div>`;
+  }
+
+  // Deltas across different environments measure the environment as much
+  // as the page
+  generateEnvironmentWarning(current, delta) {
+    const changes = (delta && delta.environment) || [];
+    const environment = current.environment || {};
+    if (0 === changes.length && !environment.outOfRange) return "";
+
+    return `
+    <div class="failures">
+        <h3>⚠️ ${
+          changes.length > 0
+            ? "Measured in a different environment than the baseline"
+            : "Measured on a machine outside the benchmark range"
+        }</h3>
+        <ul>
+            ${changes.map((change) => `<li>${escapeXml(change)}</li>`).join("")}
+            ${
+              environment.outOfRange
+                ? `<li>Machine ${escapeXml(environment.outOfRange)}</li>`
+                : ""
+            }
+        </ul>
+        <p>Score changes may come from the environment rather than the page.</p>
+    </div>`;
+  }
+
+  generateEnvironmentSection(current, baseline) {
+    if (!current.environment) return "";
+    const base = baseline && baseline.environment;
+    const formatThrottling = (e) =>
+      [
+        e.throttlingMethod,
+        ...Object.entries(e.throttling || {}).map(
+          ([key, value]) => `${key} ${value}`
+        ),
+      ]
+        .filter(Boolean)
+        .join(", ") || "&ndash;";
+    const formatBenchmark = (e) =>
+      null == e.benchmarkIndex
+        ? "&ndash;"
+        : `${e.benchmarkIndex}${
+            e.benchmarkRange ? ` (${e.benchmarkRange.join("–")})` : ""
+          }${e.calibrated ? " (calibrated)" : ""}`;
+    const rows = [
+      ["Lighthouse", (e) => e.lighthouseVersion || "&ndash;"],
+      ["Chrome", (e) => e.chromeVersion || "&ndash;"],
+      ["Form factor", (e) => e.formFactor || "&ndash;"],
+      ["Throttling", formatThrottling],
+      ["Benchmark index", formatBenchmark],
+    ];
+
+    return `
+    <h3>Environment</h3>
+    <table>
+        <thead>
+            <tr>
+                <th></th>
+                ${base ? "<th>Baseline</th>" : ""}
+                <th>Current</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${rows
+              .map(
+                ([label, format]) => `
+            <tr>
+                <td>${label}</td>
+                ${base ? `<td>${format(base)}</td>` : ""}
+                <td>${format(current.environment)}</td>
+            </tr>`
+              )
+              .join("")}
+        </tbody>
+    </table>`;
+  }
+
+  // The individual Lighthouse runs behind the aggregate. Runs still in the
+  // run archive link to Lighthouse's own report, published next to this one
+  // under runs/<key>/.
+  generateRunsSection(current, archivedRuns = new Set()) {
+    const runs = current.rawResults || [];
+    if (0 === runs.length) return "";
+
+    const key = this.resultKey(current.url, current.profile);
+    return `
+    <h2>Lighthouse Runs</h2>
+    <table>
+        <thead>
+            <tr>
+                <th>Run</th>
+                <th>Time</th>
+                ${CATEGORIES.map(({ label }) => `<th>${label}</th>`).join("")}
+                <th>Notes</th>
+                <th>Full Report</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${runs
+              .map((run, index) => {
+                const notes = [
+                  run.outlier ? "outlier, not aggregated" : null,
+                  run.attempts ? `${run.attempts} attempts` : null,
+                ].filter(Boolean);
+                return `
+            <tr>
+                <td>${index + 1}</td>
+                <td class="timestamp">${run.timestamp}</td>
+                ${CATEGORIES.map(
+                  ({ key: category }) =>
+                    `<td>${null == run[category] ? "N/A" : run[category]}</td>`
+                ).join("")}
+                <td>${notes.join(", ")}</td>
+                <td>${
+                  run.archive && archivedRuns.has(run.archive)
+                    ? `<a href="runs/${key}/${run.archive}.html">Lighthouse report</a>`
+                    : "&ndash;"
+                }</td>
+            </tr>`;
+              })
+              .join("")}
+        </tbody>
+    </table>`;
+  }
+
+  // Side by side scores of every profile measured for this URL, linking to
+  // each profile's own report
+  generateProfilesSection(current, profiles) {
+    if (profiles.length < 2) return "";
+
+    const currentProfile = current.profile || DEFAULT_PROFILE;
+    const formatValue = (value) => (null == value ? "N/A" : value);
+
+    return `
+    <h3>Profiles</h3>
+    <table>
+        <thead>
+            <tr>
+                <th>Category</th>
+                ${profiles
+                  .map((result) =>
+                    result.profile === currentProfile
+                      ? `<th>${result.profile} (this report)</th>`
+                      : `<th><a href="${this.resultKey(
+                          current.url,
+                          result.profile
+                        )}.html">${result.profile}</a></th>`
+                  )
+                  .join("")}
+            </tr>
+        </thead>
+        <tbody>
+            ${CATEGORIES.map(
+              ({ key, label }) => `
+            <tr>
+                <td>${label}</td>
+                ${profiles
+                  .map((result) => `<td>${formatValue(result[key])}</td>`)
+                  .join("")}
+            </tr>`
+            ).join("")}
+            ${METRICS.map(
+              (metric) => `
+            <tr>
+                <td>${metric.label}</td>
+                ${profiles
+                  .map(
+                    (result) =>
+                      `<td>${formatMetricValue(
+                        metric,
+                        result.metrics ? result.metrics[metric.key] : null
+                      )}</td>`
+                  )
+                  .join("")}
+            </tr>`
+            ).join("")}
+        </tbody>
+    </table>`;
+  }
+
+  // "What changed": failing/warning audits that appeared, disappeared or
+  // whose savings moved since the baseline, biggest impact first
+  generateAuditChangesSection(current, baseline, delta, options = {}) {
+    if (!baseline || "failed" === current.status) return "";
+    const { baselineLabel = "Baseline" } = options;
+    if (!delta || !delta.audits) {
+      return `
+    <h3>What changed</h3>
+    <p><em>The baseline has no audit data yet. Update the baseline to see which audits changed.</em></p>`;
+    }
+    if (0 === delta.audits.length) {
+      return `
+    <h3>What changed</h3>
+    <p>No failing or warning audits changed since the ${baselineLabel.toLowerCase()}.</p>`;
+    }
+
+    const labels = {
+      new: "Newly failing",
+      fixed: "Fixed",
+      worse: "Worse",
+      better: "Better",
+    };
+    const formatMs = (ms) => (ms ? `${ms.toLocaleString()} ms` : "");
+    const formatBytes = (bytes) =>
+      bytes ? `${Math.round(bytes / 1024).toLocaleString()} KiB` : "";
+    const formatSavings = (ms, bytes) =>
+      [formatMs(ms), formatBytes(bytes)].filter(Boolean).join(", ") ||
+      "&ndash;";
+    const formatChange = (ms, bytes) => {
+      const sign = (value) => (value > 0 ? "+" : "");
+      return (
+        [
+          ms ? `${sign(ms)}${formatMs(ms)}` : "",
+          bytes ? `${sign(bytes)}${formatBytes(bytes)}` : "",
+        ]
+          .filter(Boolean)
+          .join(", ") || "&ndash;"
+      );
+    };
+
+    return `
+    <h3>What changed</h3>
+    <table>
+        <thead>
+            <tr>
+                <th>Change</th>
+                <th>Audit</th>
+                <th>Type</th>
+                <th>Potential savings</th>
+                <th>Savings change</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${delta.audits
+              .map(
+                (audit) => `
+            <tr>
+                <td><span class="change ${audit.change}">${
+                  labels[audit.change]
+                }</span></td>
+                <td>${escapeXml(audit.title)}${
+                  audit.displayValue
+                    ? ` <em>(${escapeXml(audit.displayValue)})</em>`
+                    : ""
+                }</td>
+                <td>${audit.type}</td>
+                <td>${formatSavings(audit.savingsMs, audit.savingsBytes)}</td>
+                <td>${
+                  undefined === audit.deltaMs
+                    ? "&ndash;"
+                    : formatChange(audit.deltaMs, audit.deltaBytes)
+                }</td>
+            </tr>`
+              )
+              .join("")}
+        </tbody>
+    </table>`;
+  }
+
+  generateTrendSection(history, baseline) {
+    if (0 === history.length) return "";
+
+    return `
+    <h3>Trends (last ${history.length} runs)</h3>
+    <div class="trends">
+        ${CATEGORIES.map(({ key, label }) =>
+          renderTrendChart({
+            title: label,
+            points: history.map((record) => ({
+              timestamp: record.timestamp,
+              value: record[key],
+            })),
+            baseline: baseline ? baseline[key] : null,
+          })
+        ).join("")}
+    </div>`;
+  }
+
+  // One section per measured step of a user flow, each compared against the
+  // step of the same name in the baseline
+  generateFlowStepsSection(current, baseline, delta, options = {}) {
+    if (!current.steps) return "";
+    const { baselineLabel = "Baseline", currentLabel = "Current" } = options;
+
+    return `
+    <h2>User Flow Steps</h2>
+    ${current.steps
+      .map((step, index) => {
+        const base =
+          baseline && (baseline.steps || []).find((s) => s.name === step.name);
+        const stepDelta = delta && delta.steps ? delta.steps[index] : null;
+        return `
+    <div class="flow-step">
+        <h3>${index + 1}. ${escapeXml(step.name)} <span class="mode">${
+          STEP_MODES[step.mode] || step.mode
+        }</span></h3>
+        <table>
+            <thead>
+                <tr>
+                    <th>Category</th>
+                    ${base ? `<th>${baselineLabel}</th>` : ""}
+                    <th>${currentLabel}</th>
+                    ${base ? "<th>Delta</th>" : ""}
+                </tr>
+            </thead>
+            <tbody>
+                ${CATEGORIES.map(
+                  ({ key, label }) => `
+                <tr>
+                    <td>${label}</td>
+                    ${base ? `<td>${formatScore(base[key])}</td>` : ""}
+                    <td>${formatScore(step[key])}</td>
+                    ${
+                      base ? `<td>${formatScoreDelta(stepDelta, key)}</td>` : ""
+                    }
+                </tr>`
+                ).join("")}
+            </tbody>
+        </table>
+        ${base ? "" : "<p><em>No baseline for this step yet.</em></p>"}
+        ${this.generateMetricsSection(step, base, stepDelta, options)}
+    </div>`;
+      })
+      .join("")}`;
+  }
+
+  generateMetricsSection(current, baseline, delta, options = {}) {
+    if (!current.metrics) return "";
+    const { baselineLabel = "Baseline", currentLabel = "Current" } = options;
+
+    const formatMetric = (metric, value) =>
+      `<span class="score ${rateMetric(metric, value)}">${formatMetricValue(
+        metric,
+        value
+      )}</span>`;
+
+    // Metrics are "lower is better", so a positive delta is a regression.
+    const formatMetricDelta = (metric, value) => {
+      if (null === value || undefined === value) return "N/A";
+      const sign = value > 0 ? "+" : "";
+      const colorClass =
+        value < 0 ? "positive" : value > 0 ? "negative" : "neutral";
+      return `<span class="${colorClass}">${sign}${formatMetricValue(
+        metric,
+        value
+      )}</span>`;
+    };
+
+    const hasBaseline = baseline && baseline.metrics;
+
+    return `
+    <h3>Core Web Vitals &amp; Lab Metrics</h3>
+    <table>
+        <thead>
+            <tr>
+                <th>Metric</th>
+                ${hasBaseline ? `<th>${baselineLabel}</th>` : ""}
+                <th>${currentLabel}</th>
+                <th>Rating</th>
+                ${hasBaseline ? "<th>Change</th>" : ""}
+            </tr>
+        </thead>
+        <tbody>
+            ${METRICS.map(
+              (metric) => `
+            <tr>
+                <td>${metric.label}</td>
+                ${
+                  hasBaseline
+                    ? `<td>${formatMetric(
+                        metric,
+                        baseline.metrics[metric.key]
+                      )}</td>`
+                    : ""
+                }
+                <td>${formatMetric(metric, current.metrics[metric.key])}</td>
+                <td>${
+                  RATING_LABELS[rateMetric(metric, current.metrics[metric.key])]
+                }</td>
+                ${
+                  hasBaseline
+                    ? `<td>${formatMetricDelta(
+                        metric,
+                        delta.metrics[metric.key]
+                      )}</td>`
+                    : ""
+                }
+            </tr>`
+            ).join("")}
+        </tbody>
+    </table>`;
+  }
+
+  // The pixel difference of the final screenshot next to CLS, the other
+  // sign of layout changes. Once per report, below the page's metrics
+  // rather than in every flow step.
+  generateVisualChangeNote(current, baseline, screenshots) {
+    const comparison = screenshots && screenshots.comparison;
+    if (!comparison) return "";
+    const cls = METRICS.find(({ key }) => "cls" === key);
+    const value = (result) =>
+      formatMetricValue(cls, result.metrics ? result.metrics.cls : null);
+    const text = `${
+      comparison.diff
+    }% of the final screenshot differs from the baseline (CLS ${value(
+      baseline
+    )} → ${value(current)})`;
+    return comparison.changed
+      ? `<div class="failures"><strong>⚠️ Visual change:</strong> ${text}, more than the ${comparison.threshold}% allowed</div>`
+      : `<p class="timestamp">Visual change: ${text}</p>`;
+  }
+
+  // Filmstrips and final screenshots of the baseline and the current
+  // result, each from its representative run
+  generateScreenshotsSection(screenshots, options = {}) {
+    if (!screenshots) return "";
+    const { baselineLabel = "Baseline", currentLabel = "Current" } = options;
+    const sides = [
+      [baselineLabel, screenshots.baseline],
+      [currentLabel, screenshots.current],
+    ].filter(([, side]) => side);
+    const image = (data, alt) =>
+      `<img src="${escapeXml(data)}" alt="${escapeXml(alt)}" loading="lazy">`;
+
+    return `
+    <h3>Screenshots</h3>
+    ${sides
+      .filter(([, side]) => side.filmstrip.length > 0)
+      .map(
+        ([label, side]) => `
+    <h4>${label}</h4>
+    <div class="filmstrip">
+        ${side.filmstrip
+          .map(
+            ({ timing, data }) =>
+              `<figure>${image(
+                data,
+                `${label} at ${Math.round(timing)} ms`
+              )}<figcaption>${formatMetricValue(
+                { unit: "ms" },
+                Math.round(timing)
+              )}</figcaption></figure>`
+          )
+          .join("")}
+    </div>`
+      )
+      .join("")}
+    <div class="final-screenshots">
+        ${sides
+          .filter(([, side]) => side.final)
+          .map(
+            ([label, side]) =>
+              `<figure><figcaption>${label}, final screenshot</figcaption>${image(
+                side.final.data,
+                `${label} final screenshot`
+              )}</figure>`
+          )
+          .join("")}
+    </div>`;
+  }
+
+  // Bytes and requests per resource type against the baseline and the
+  // resource budgets; a type over its budget is highlighted
+  generateResourcesSection(current, baseline, delta) {
+    if (!current.resources) return "";
+    const base = baseline && baseline.resources;
+    const diff = delta && delta.resources;
+    const checks = (current.budget && current.budget.resources) || [];
+
+    // More bytes or requests is worse
+    const formatChange = (value, format) => {
+      if (0 === value) return `<span class="neutral">0</span>`;
+      return `<span class="${value > 0 ? "negative" : "positive"}">${
+        value > 0 ? "+" : ""
+      }${format(value)}</span>`;
+    };
+    const formatLimit = (value, format) =>
+      null === value || undefined === value ? "&ndash;" : format(value);
+
+    return `
+    <h3>Resources</h3>
+    <table>
+        <thead>
+            <tr>
+                <th>Resource</th>
+                <th>Transfer size</th>
+                ${base ? "<th>Change</th>" : ""}
+                <th>Size budget</th>
+                <th>Requests</th>
+                ${base ? "<th>Change</th>" : ""}
+                <th>Request budget</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${RESOURCE_TYPES.map(({ key, label }) => {
+              const { bytes, requests } = current.resources[key];
+              const check = checks.find((c) => c.resource === key);
+              const budget = check ? check.budget : {};
+              const over = check && "fail" === check.status;
+              return `
+            <tr${over ? ' class="over-budget"' : ""}>
+                <td>${label}</td>
+                <td>${formatBytes(bytes)}</td>
+                ${
+                  base
+                    ? `<td>${formatChange(diff[key].bytes, formatBytes)}</td>`
+                    : ""
+                }
+                <td>${formatLimit(budget.maxKb, (kb) => `${kb} KiB`)}</td>
+                <td>${requests}</td>
+                ${
+                  base
+                    ? `<td>${formatChange(diff[key].requests, String)}</td>`
+                    : ""
+                }
+                <td>${formatLimit(budget.maxRequests, String)}</td>
+            </tr>`;
+            }).join("")}
+        </tbody>
+    </table>`;
+  }
+
+  // What each blocked group costs: the score points and milliseconds the
+  // page gains without it. A cost that grew since the baseline is a
+  // regression.
+  generateThirdPartySection(current, baseline, delta) {
+    if (!current.thirdParty) return "";
+    const changes = (delta && delta.thirdParty) || {};
+    const hasBaseline = Boolean(baseline && baseline.thirdParty);
+    const metricOf = (key) => METRICS.find((metric) => metric.key === key);
+
+    const formatCost = (key, value) => {
+      if (null === value || undefined === value) return "N/A";
+      return "performance" === key
+        ? `${value} pts`
+        : formatMetricValue(metricOf(key), value);
+    };
+    const formatChange = (key, value) => {
+      if (null === value || undefined === value) return "N/A";
+      const colorClass =
+        value > 0 ? "negative" : value < 0 ? "positive" : "neutral";
+      return `<span class="${colorClass}">${value > 0 ? "+" : ""}${formatCost(
+        key,
+        value
+      )}</span>`;
+    };
+    const columns = ["performance", ...COST_METRICS];
+    const labels = {
+      performance: "Performance",
+      ...Object.fromEntries(
+        COST_METRICS.map((key) => [key, key.toUpperCase()])
+      ),
+    };
+
+    return `
+    <h3>Third-party cost</h3>
+    <p class="timestamp">Measured with each group's requests blocked: what the page gains without them.</p>
+    <table>
+        <thead>
+            <tr>
+                <th>Group</th>
+                <th>Runs</th>
+                ${columns
+                  .map(
+                    (key) =>
+                      `<th>${labels[key]}</th>${
+                        hasBaseline ? "<th>Change</th>" : ""
+                      }`
+                  )
+                  .join("")}
+            </tr>
+        </thead>
+        <tbody>
+            ${Object.entries(current.thirdParty)
+              .map(([group, { patterns, runs, cost }]) => {
+                const change = changes[group] || {};
+                return `
+            <tr>
+                <td>${escapeXml(group)}<br><small>${patterns
+                  .map(escapeXml)
+                  .join(", ")}</small></td>
+                <td>${runs}</td>
+                ${columns
+                  .map(
+                    (key) =>
+                      `<td>${formatCost(key, cost[key])}</td>${
+                        hasBaseline
+                          ? `<td>${formatChange(key, change[key])}</td>`
+                          : ""
+                      }`
+                  )
+                  .join("")}
+            </tr>`;
+              })
+              .join("")}
+        </tbody>
+    </table>`;
+  }
+
+  generateBudgetSection(budget) {
+    const formatLimit = (value) => (null === value ? "&ndash;" : value);
+
+    return `
+    <h3>Budgets</h3>
+    <table>
+        <thead>
+            <tr>
+                <th>Category</th>
+                <th>Minimum</th>
+                <th>Max drop (warn / fail)</th>
+                <th>Verdict</th>
+                <th>Details</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${budget.checks
+              .map(
+                (check) => `
+            <tr>
+                <td>${check.label}</td>
+                <td>${formatLimit(check.budget.min)}</td>
+                <td>${formatLimit(check.budget.warnDrop)} / ${formatLimit(
+                  check.budget.maxDrop
+                )}</td>
+                <td><span class="verdict ${check.status}">${
+                  check.status
+                }</span></td>
+                <td>${check.reasons.join("; ")}</td>
+            </tr>`
+              )
+              .join("")}
+        </tbody>
+    </table>`;
+  }
+
+  async applyBudgets(results, entries) {
+    await this.budgets.load();
+
+    for (const result of results) {
+      // Nothing to check without scores; the report shows the failure
+      if ("failed" === result.status) continue;
+      const entry = entries.find((e) => e.url === result.url) || {};
+      const baseline = await this.loadBaseline(
+        result.url,
+        result.profile,
+        result.timestamp
+      );
+      result.budget = this.budgets.evaluate(result, baseline, entry.budgets);
+    }
+
+    console.log("\nBudget verdicts:");
+    for (const result of results) {
+      if (!result.budget) {
+        console.log(`  SKIP ${result.url} [${result.profile}] (not measured)`);
+        continue;
+      }
+      const { status, checks, resources = [] } = result.budget;
+      const reasons = [...checks, ...resources]
+        .filter((check) => check.reasons.length > 0)
+        .map((check) => `${check.label} ${check.reasons.join(", ")}`);
+      console.log(
+        `  ${status.toUpperCase()} ${result.url} [${result.profile}]${
+          reasons.length > 0 ? ` (${reasons.join("; ")})` : ""
+        }`
+      );
+    }
+
+    return results.filter(
+      (result) => result.budget && "fail" === result.budget.status
+    );
+  }
+
+  // Hands the results, each with its baseline, delta and history, to the
+  // configured reporters (see lib/reporters/)
   async generateReports(results) {
-    console.log("\nGenerating HTML reports...");
+    console.log(
+      `\nGenerating reports (${this.reporters
+        .map((r) => r.name)
+        .join(", ")})...`
+    );
+    await fs.ensureDir(this.reportsDir);
 
+    const entries = [];
     for (const result of results) {
-      const baseline = await this.loadBaseline(result.url);
-      const delta = this.calculateDelta(result, baseline);
-      const html = this.generateHtmlReport(result, baseline, delta);
+      const key = this.resultKey(result.url, result.profile);
+      const baseline = await this.loadBaseline(
+        result.url,
+        result.profile,
+        result.timestamp
+      );
+      entries.push({
+        key,
+        result,
+        baseline,
+        delta: this.calculateDelta(result, baseline),
+        history: await this.history.load(key),
+        screenshots: await this.loadScreenshots(key, result, baseline),
+      });
+    }
 
-      const filename = this.urlToFilename(result.url).replace(".json", ".html");
-      const filepath = path.join(this.reportsDir, filename);
+    const context = { monitor: this, reportsDir: this.reportsDir, entries };
+    for (const { reporter } of this.reporters) {
+      await reporter.write(context);
+    }
+  }
 
-      await fs.writeFile(filepath, html);
-      console.log(`Generated report: ${filename}`);
+  async sendNotifications(notifier, results) {
+    const entries = [];
+    for (const result of results) {
+      const baseline = await this.loadBaseline(
+        result.url,
+        result.profile,
+        result.timestamp
+      );
+      entries.push({
+        result,
+        delta: this.calculateDelta(result, baseline),
+        reportFile: `${this.resultKey(result.url, result.profile)}.html`,
+      });
     }
+
+    console.log("\nSending notifications...");
+    await notifier.notify(notifier.buildSummary(entries));
   }
 
-  async run() {
-    const args = process.argv.slice(2);
-    const updateBaseline = args.includes("--update-baseline");
-    const singleUrlIndex = args.findIndex((arg) => arg.startsWith("--url"));
+  // Measures the selected URLs and either stores them as the new baseline
+  // or as latest results with budgets, reports and notifications. Returns
+  // the process exit code.
+  async measure({ urls, group, baseline = false, reason = null } = {}) {
+    // Fail on a bad aggregation or notification settings before spending
+    // time on Lighthouse runs
+    getAggregator(this.aggregation);
+    const notifier =
+      this.notify && !baseline ? new Notifier(this.config.notifications) : null;
+
+    const targets = await this.selectTargets({ urls, group });
+    const measurements = this.planMeasurements(targets);
+    console.log(
+      `Testing ${targets.length} URL(s) from ${path.basename(this.urlsFile)} (${
+        measurements.length
+      } measurement(s))`
+    );
+
+    if (this.dryRun) {
+      for (const m of measurements) {
+        console.log(`  would measure ${m.url} [${m.profile}] × ${m.runs} runs`);
+      }
+      console.log(
+        `\nDry run: nothing measured, ${
+          baseline ? "baseline" : "latest"
+        } results unchanged`
+      );
+      return 0;
+    }
+
+    this.onProgress({ type: "start", measurements: measurements.length });
+    const results = await this.measureUrls(measurements);
+    const measured = results.filter((result) => "failed" !== result.status);
+    if (this.archiveEnabled) {
+      const removed = await this.runArchive.prune();
+      if (removed > 0) {
+        console.log(`Removed ${removed} old run(s) from the run archive`);
+      }
+    }
+
+    if (0 === measured.length && baseline) {
+      throw new Error("No successful results to save.");
+    }
+
+    if (baseline) {
+      // A URL that could not be measured keeps its previous baseline
+      await this.saveResults(measured, true, createMeta("measured", reason));
+      await this.pruneScreenshots(measured);
+      console.log("\n✅ Baseline updated successfully!");
+      return 0;
+    }
 
-    let urls;
-    if (-1 !== singleUrlIndex && args[singleUrlIndex + 1]) {
-      urls = [args[singleUrlIndex + 1]];
-      console.log(`Testing single URL: ${urls[0]}`);
-    } else {
-      urls = await this.loadUrls();
-      console.log(`Testing ${urls.length} URLs from urls.json`);
+    const entries = await this.loadUrls();
+    const failed = await this.applyBudgets(results, entries);
+    await this.saveResults(results, false);
+    await this.pruneScreenshots(results);
+    await this.generateReports(results);
+    if (notifier && notifier.enabled) {
+      await this.sendNotifications(notifier, results);
     }
+    console.log("\n✅ PageSpeed testing completed!");
+    console.log(`📊 Reports available in ${this.reportsDir}`);
+
+    if (0 === measured.length) {
+      console.error("\n❌ No URL could be measured");
+      return 1;
+    }
+    if (failed.length > 0) {
+      console.error(`\n❌ ${failed.length} URL(s) failed their budgets`);
+      return EXIT_BUDGET_FAILED;
+    }
+    return 0;
+  }
+
+  // Stored latest results of the selected URLs, every profile
+  async loadLatestResults(options = {}) {
+    return this.loadStoredResults(this.latestDir, options);
+  }
+
+  async loadStoredResults(dir, { urls, group } = {}) {
+    if (!(await fs.pathExists(dir))) return [];
+
+    const wanted =
+      (urls && urls.length > 0) || group
+        ? new Set((await this.selectTargets({ urls, group })).map((t) => t.url))
+        : null;
 
     const results = [];
+    for (const file of (await fs.readdir(dir)).sort()) {
+      if (!file.endsWith(".json")) continue;
+      try {
+        const result = JSON.parse(
+          await fs.readFile(path.join(dir, file), "utf8")
+        );
+        if (wanted && !wanted.has(result.url)) continue;
+        const profile = result.profile || file.split(".")[1] || DEFAULT_PROFILE;
+        if (this.profileOverride && !this.profileOverride.includes(profile)) {
+          continue;
+        }
+        results.push({ ...result, profile });
+      } catch (error) {
+        console.warn(`Could not read result file ${file}:`, error.message);
+      }
+    }
+    return results;
+  }
+
+  // Makes the stored latest results the new baseline without measuring
+  // again, e.g. after a deliberate change was reviewed
+  async promote({ urls, group, reason = null } = {}) {
+    const results = await this.loadLatestResults({ urls, group });
+    if (0 === results.length) {
+      throw new Error("No stored results to promote");
+    }
 
-    for (const url of urls) {
-      const result = await this.runMultipleLighthouse(url);
-      if (result) {
-        results.push(result);
+    const meta = createMeta("promoted", reason);
+    for (const { budget, ...result } of results) {
+      const key = this.resultKey(result.url, result.profile);
+      if (this.dryRun) {
+        console.log(`  would promote latest/${key}.json`);
+        continue;
       }
+      await this.baselines.save(key, result, meta);
+      console.log(`Promoted ${key} (measured ${result.timestamp})`);
+    }
+    return 0;
+  }
+
+  // Restores the previous baseline of the selected URLs
+  async rollback(options = {}) {
+    const baselines = await this.loadStoredResults(this.baselineDir, options);
+    if (0 === baselines.length) {
+      throw new Error("No baselines to roll back");
     }
 
+    let restored = 0;
+    for (const baseline of baselines) {
+      const key = this.resultKey(baseline.url, baseline.profile);
+      const archived = await this.baselines.listArchived(key);
+      if (0 === archived.length) {
+        console.log(`  ${key}: no earlier baseline`);
+        continue;
+      }
+      if (this.dryRun) {
+        console.log(`  would restore ${key} from ${archived.pop()}`);
+        continue;
+      }
+      const previous = await this.baselines.rollback(key);
+      console.log(`Restored ${key}: ${this.describeBaseline(previous)}`);
+      restored++;
+    }
+    if (!this.dryRun && 0 === restored) {
+      throw new Error("Nothing to roll back");
+    }
+    return 0;
+  }
+
+  // "2026-01-31 from commit abc123, promoted: new hero image"
+  describeBaseline(baseline) {
+    if (baseline.rolling) {
+      const { runs, from, to } = baseline.rolling;
+      const day = (timestamp) => timestamp.slice(0, 10);
+      return `median of the last ${runs} run(s), ${day(from)} to ${day(to)}`;
+    }
+    const meta = baseline.meta || {};
+    const createdAt = meta.createdAt || baseline.timestamp || "";
+    return [
+      createdAt.slice(0, 10),
+      meta.commit ? `from commit ${meta.commit}` : "",
+      meta.source
+        ? `${meta.source}${meta.reason ? `: ${meta.reason}` : ""}`
+        : "",
+    ]
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  // Re-renders the reports from stored results without measuring
+  async renderReports(options = {}) {
+    const results = await this.loadLatestResults(options);
     if (0 === results.length) {
-      console.error("No successful results to save.");
-      process.exit(1);
+      throw new Error("No stored results to render");
+    }
+    if (this.dryRun) {
+      for (const result of results) {
+        console.log(
+          `  would render ${this.resultKey(result.url, result.profile)}.html`
+        );
+      }
+      return 0;
     }
+    await this.generateReports(results);
+    return 0;
+  }
 
-    // Save results
-    if (updateBaseline) {
-      await this.saveResults(results, true);
-      console.log("\n✅ Baseline updated successfully!");
-    } else {
-      await this.saveResults(results, false);
-      await this.generateReports(results);
-      console.log("\n✅ PageSpeed testing completed!");
-      console.log(`📊 Reports available in the reports/ directory`);
+  // Reads the sitemaps and merges the selected URLs into urls.json.
+  // Command-line rules replace those of the "discovery" config section.
+  async discover(options = {}) {
+    const config = this.config.discovery || {};
+    const pick = (key) =>
+      options[key] && options[key].length > 0 ? options[key] : config[key];
+    const sitemaps = pick("sitemaps") || [];
+    if (0 === sitemaps.length) {
+      throw new Error(
+        'No sitemap given (--sitemap or "discovery.sitemaps" in the config file)'
+      );
+    }
+
+    const urls = (await fetchSitemapUrls(sitemaps)).filter(isHttpUrl);
+    const { filtered, selected } = selectUrls(urls, {
+      include: pick("include"),
+      exclude: pick("exclude"),
+      sample: options.sample || config.sample,
+      seed: config.seed,
+    });
+    console.log(
+      `Found ${urls.length} URL(s), ${filtered.length} after include/exclude, ${selected.length} after sampling`
+    );
+
+    let data = [];
+    if (await fs.pathExists(this.urlsFile)) {
+      data = JSON.parse(await fs.readFile(this.urlsFile, "utf8"));
+    }
+    const { entries, added, removed } = mergeUrlEntries(data, selected, {
+      replace: options.replace,
+      group: config.group,
+    });
+    // Fail on a broken urls.json before overwriting it
+    parseUrlEntries(entries, path.basename(this.urlsFile));
+
+    for (const url of added) console.log(`  + ${url}`);
+    for (const url of removed) console.log(`  - ${url}`);
+    const file = path.basename(this.urlsFile);
+    if (this.dryRun) {
+      console.log(`Dry run: ${file} not written`);
+      return 0;
     }
+    await fs.writeFile(this.urlsFile, `${JSON.stringify(entries, null, 2)}\n`);
+    console.log(
+      `Updated ${file}: ${added.length} added, ${removed.length} removed, ${entries.length} total`
+    );
+    return 0;
   }
-}
 
-// Run the monitor
-if (require.main === module) {
-  const monitor = new PageSpeedMonitor();
-  monitor.run().catch((error) => {
-    console.error("Error:", error.message);
-    process.exit(1);
-  });
+  // Prints stored latest results against the baseline and re-checks the
+  // budgets without measuring; exits non-zero when a budget is broken
+  async compare(options = {}) {
+    const results = await this.loadLatestResults(options);
+    if (0 === results.length) {
+      throw new Error("No stored results to compare");
+    }
+
+    const column = (value, width) =>
+      String(null == value ? "-" : value).padStart(width);
+
+    for (const result of results) {
+      const baseline = await this.loadBaseline(
+        result.url,
+        result.profile,
+        result.timestamp
+      );
+      const delta = this.calculateDelta(result, baseline);
+      console.log(`\n${result.label || result.url} [${result.profile}]`);
+      for (const { key, label } of CATEGORIES) {
+        let change = "";
+        if (delta && null !== delta[key]) {
+          change = `${delta[key] > 0 ? "+" : ""}${delta[key]}`;
+          if (0 !== delta[key] && !delta.significant[key]) change += " (noise)";
+        }
+        console.log(
+          `  ${label.padEnd(15)}${column(
+            baseline && baseline[key],
+            4
+          )} →${column(result[key], 4)}  ${change}`
+        );
+      }
+      if (delta && delta.environment.length > 0) {
+        console.log(
+          `  ⚠️  Environment changed: ${delta.environment.join(", ")}`
+        );
+      }
+    }
+
+    const entries = await this.loadUrls();
+    const failed = await this.applyBudgets(results, entries);
+    return failed.length > 0 ? EXIT_BUDGET_FAILED : 0;
+  }
+
+  // A/B mode: measures URL pairs interleaved and writes one side-by-side
+  // report per pair and profile to comparisons/. Nothing is compared with
+  // or written to baseline/ or latest/.
+  async comparePairs({ pairs = [], rewrite = null, urls, group } = {}) {
+    const entries =
+      rewrite || (urls && urls.length > 0) || group
+        ? await this.selectTargets({ urls, group })
+        : await this.loadUrls();
+    const selected = buildPairs({
+      entries,
+      pairs: rewrite ? [] : pairs.length > 0 ? pairs : this.config.pairs,
+      rewrite,
+      defaults: { runs: this.config.runs },
+    });
+    if (0 === selected.length) {
+      throw new Error(
+        rewrite
+          ? `No URLs on host ${rewrite.from} to rewrite`
+          : 'No pairs to compare (use --pair, --rewrite-host or "pairs" in the config file)'
+      );
+    }
+
+    const measurements = selected.flatMap((pair) =>
+      this.profilesFor(pair.a).map((profile) => ({
+        ...pair,
+        profile,
+        runs: this.runsOverride || pair.a.runs,
+      }))
+    );
+    validateProfiles(
+      measurements.map((m) => m.profile),
+      this.config.customProfiles
+    );
+
+    if (this.dryRun) {
+      for (const m of measurements) {
+        console.log(
+          `  would compare ${m.a.url} with ${m.b.url} [${m.profile}] × ${m.runs} runs`
+        );
+      }
+      return 0;
+    }
+
+    const runner = this.createRunner();
+    let compared = 0;
+    try {
+      for (const measurement of measurements) {
+        const sides = await this.measurePair(measurement, runner);
+        if (!sides) continue;
+        await this.saveComparison(measurement, sides);
+        compared++;
+      }
+    } finally {
+      await runner.stop();
+    }
+
+    if (0 === compared) {
+      throw new Error("No pair could be measured");
+    }
+    console.log(`\n📊 Comparison reports available in ${this.comparisonsDir}`);
+    return 0;
+  }
+
+  async saveComparison(pair, { a, b }) {
+    const key = this.pairKey(pair, pair.profile);
+    // B is measured against A exactly like latest against the baseline
+    const delta = this.calculateDelta(b, a);
+
+    await fs.ensureDir(this.comparisonsDir);
+    await fs.writeFile(
+      path.join(this.comparisonsDir, `${key}.json`),
+      JSON.stringify({ label: pair.label, a, b, delta }, null, 2)
+    );
+    await fs.writeFile(
+      path.join(this.comparisonsDir, `${key}.html`),
+      this.generateHtmlReport(b, a, delta, [], [], {
+        title: "A/B Comparison",
+        baselineLabel: "A",
+        currentLabel: "B",
+        description: `<p>${
+          pair.label ? `<strong>${escapeXml(pair.label)}</strong>: ` : ""
+        }A = ${escapeXml(a.url)}, B = ${escapeXml(
+          b.url
+        )}. Both sides were measured alternately in the same browser; changes are B relative to A.</p>`,
+      })
+    );
+
+    const changes = CATEGORIES.filter(({ key }) => null !== delta[key])
+      .map(
+        ({ key, label }) =>
+          `${label} ${a[key]} → ${b[key]} (${delta[key] > 0 ? "+" : ""}${
+            delta[key]
+          }${delta.significant[key] || 0 === delta[key] ? "" : ", noise"})`
+      )
+      .join(", ");
+    console.log(`  ${changes}`);
+    console.log(`  Saved comparison ${key}.html`);
+  }
 }
 
+// Exported before the entry point below, which requires cli.js, which in
+// turn requires this file
 module.exports = PageSpeedMonitor;
+
+// Kept as an entry point for existing scripts: `node scripts/run.js` is
+// `node scripts/cli.js run`, and --update-baseline maps to `baseline`.
+if (require.main === module) {
+  require("./cli").main(["run", ...process.argv.slice(2)]);
+}
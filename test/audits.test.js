@@ -0,0 +1,162 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const PageSpeedMonitor = require("../scripts/run");
+const { ReplayRunner } = require("../scripts/lib/replay-runner");
+const {
+  extractAudits,
+  aggregateAudits,
+  diffAudits,
+} = require("../scripts/lib/audits");
+
+const FIXTURES = path.join(__dirname, "fixtures", "replay");
+const URL = "https://example.com/";
+
+const audit = (id, status, savingsMs = 0, savingsBytes = 0) => ({
+  id,
+  title: id,
+  status,
+  score: "fail" === status ? 0 : 0.6,
+  type: "opportunity",
+  displayValue: "",
+  savingsMs,
+  savingsBytes,
+});
+
+test("keeps failing and warning audits, but not metrics or passes", () => {
+  const audits = extractAudits({
+    audits: {
+      "largest-contentful-paint": { score: 0, scoreDisplayMode: "numeric" },
+      "render-blocking-resources": {
+        title: "Eliminate render-blocking resources",
+        score: 0.3,
+        scoreDisplayMode: "metricSavings",
+        details: { type: "opportunity", overallSavingsMs: 450.4 },
+      },
+      "dom-size": {
+        title: "Avoids an excessive DOM size",
+        score: 0.7,
+        scoreDisplayMode: "numeric",
+        displayValue: "900 elements",
+      },
+      "is-on-https": { score: 1, scoreDisplayMode: "binary" },
+      "font-display": { score: null, scoreDisplayMode: "informative" },
+    },
+  });
+  assert.deepEqual(
+    audits.map(({ id, status, type, savingsMs }) => [
+      id,
+      status,
+      type,
+      savingsMs,
+    ]),
+    [
+      ["render-blocking-resources", "fail", "opportunity", 450],
+      ["dom-size", "warn", "diagnostic", 0],
+    ]
+  );
+});
+
+test("counts audits that failed in at least half of the runs", () => {
+  const audits = aggregateAudits([
+    { audits: [audit("a", "fail", 100), audit("b", "fail", 900)] },
+    { audits: [audit("a", "fail", 300)] },
+    { audits: [audit("a", "fail", 200)] },
+  ]);
+  assert.deepEqual(
+    audits.map(({ id, savingsMs }) => [id, savingsMs]),
+    [["a", 200]]
+  );
+});
+
+test("reports newly failing, fixed, worse and better audits", () => {
+  const baseline = [
+    audit("fixed", "fail", 300),
+    audit("worse", "warn", 200),
+    audit("better", "fail", 1000),
+    audit("noise", "fail", 500, 4096),
+  ];
+  const current = [
+    audit("new", "fail", 400),
+    audit("worse", "fail", 200),
+    audit("better", "fail", 600),
+    audit("noise", "fail", 550, 8192),
+  ];
+  const changes = diffAudits(current, baseline);
+
+  assert.deepEqual(
+    changes.map(({ id, change }) => [id, change]),
+    [
+      ["new", "new"],
+      ["better", "better"],
+      ["fixed", "fixed"],
+      ["worse", "worse"],
+    ]
+  );
+  const better = changes.find((change) => "better" === change.id);
+  assert.equal(better.deltaMs, -400);
+  assert.equal(better.previousStatus, "fail");
+  assert.equal(
+    changes.find((change) => "worse" === change.id).previousStatus,
+    "warn"
+  );
+
+  assert.deepEqual(diffAudits(current, current), []);
+  // Baselines saved before audits were recorded have nothing to compare
+  assert.equal(diffAudits(current, null), null);
+});
+
+test("escapes audit titles in the report", async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-audits-"));
+  try {
+    await fs.writeJson(path.join(dir, "urls.json"), [
+      { url: URL, profiles: ["mobile"], runs: 3 },
+    ]);
+    // The regressed runs, on a page that also lost its <title>
+    const recordings = path.join(dir, "recordings");
+    for (const file of await fs.readdir(path.join(FIXTURES, "regressed"))) {
+      const lhr = await fs.readJson(path.join(FIXTURES, "regressed", file));
+      lhr.audits["document-title"] = {
+        id: "document-title",
+        title: "Document doesn't have a `<title>` element",
+        score: 0,
+        scoreDisplayMode: "binary",
+        displayValue: "<head> & body",
+      };
+      await fs.outputJson(path.join(recordings, file), lhr);
+    }
+    const createMonitor = (recorded) => {
+      const runner = new ReplayRunner(recorded);
+      return new PageSpeedMonitor({
+        outputDir: dir,
+        urlsFile: path.join(dir, "urls.json"),
+        budgetsFile: path.join(dir, "budgets.json"),
+        reporters: ["html"],
+        notify: false,
+        createRunner: () => runner,
+      });
+    };
+    await createMonitor(path.join(FIXTURES, "baseline")).measure({
+      baseline: true,
+    });
+    const monitor = createMonitor(recordings);
+    await monitor.measure();
+
+    const html = await fs.readFile(
+      path.join(dir, "reports", `${monitor.resultKey(URL, "mobile")}.html`),
+      "utf8"
+    );
+    assert.doesNotMatch(html, /`<title>`/);
+    assert.match(
+      html,
+      /Document doesn't have a `&lt;title&gt;` element <em>\(&lt;head&gt; &amp; body\)<\/em>/
+    );
+  } finally {
+    mock.restoreAll();
+    await fs.remove(dir);
+  }
+});
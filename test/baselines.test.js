@@ -0,0 +1,142 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  BaselineStore,
+  rollingBaseline,
+  rollingWindowFor,
+  resolveBaseline,
+} = require("../scripts/lib/baselines");
+const { HistoryStore } = require("../scripts/lib/history");
+
+const KEY = "example-com--b559c7ed.mobile";
+
+let dir;
+let store;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-baselines-"));
+  store = new BaselineStore(path.join(dir, "baseline"));
+});
+
+afterEach(() => fs.remove(dir));
+
+const meta = (day) => ({
+  createdAt: `2026-01-0${day}T08:00:00.000Z`,
+  source: "measured",
+  reason: null,
+  commit: null,
+});
+
+test("archives the replaced baseline", async () => {
+  await store.save(KEY, { performance: 80 }, meta(1));
+  await store.save(KEY, { performance: 85 }, meta(2));
+  await store.save(KEY, { performance: 90 }, meta(3));
+
+  assert.equal((await store.load(KEY)).performance, 90);
+  assert.deepEqual(await store.listArchived(KEY), [
+    "2026-01-01T08-00-00.000Z.json",
+    "2026-01-02T08-00-00.000Z.json",
+  ]);
+});
+
+test("rolls back one baseline at a time, up to the oldest", async () => {
+  await store.save(KEY, { performance: 80 }, meta(1));
+  await store.save(KEY, { performance: 85 }, meta(2));
+  await store.save(KEY, { performance: 90 }, meta(3));
+
+  assert.equal((await store.rollback(KEY)).performance, 85);
+  assert.equal((await store.load(KEY)).performance, 85);
+  assert.equal((await store.rollback(KEY)).performance, 80);
+  assert.deepEqual(await store.listArchived(KEY), []);
+  assert.equal(await fs.pathExists(store.archiveDirFor(KEY)), false);
+
+  // Past the oldest archive nothing changes
+  assert.equal(await store.rollback(KEY), null);
+  assert.deepEqual(await store.load(KEY), {
+    performance: 80,
+    meta: meta(1),
+  });
+  assert.equal(await store.rollback("unknown.mobile"), null);
+});
+
+// A history record of a regular run on day `day`
+const record = (day, performance, extra = {}) => ({
+  type: "latest",
+  url: "https://example.com/",
+  profile: "mobile",
+  timestamp: `2026-01-${String(day).padStart(2, "0")}T08:00:00.000Z`,
+  performance,
+  accessibility: 95,
+  bestPractices: null,
+  seo: null,
+  metrics: { lcp: 2000 + day },
+  ...extra,
+});
+
+test("a rolling baseline is the median of the last runs", () => {
+  const records = [
+    record(1, 50),
+    { ...record(2, 99), type: "baseline" },
+    record(3, 90),
+    record(4, 80, { status: "failed", performance: null }),
+    record(5, 92),
+    record(6, 70),
+    record(7, 91),
+  ];
+  const baseline = rollingBaseline(records, { window: 3 });
+  assert.equal(baseline.performance, 91);
+  assert.equal(baseline.metrics.lcp, 2006);
+  assert.deepEqual(baseline.rolling, {
+    window: 3,
+    runs: 3,
+    from: "2026-01-05T08:00:00.000Z",
+    to: "2026-01-07T08:00:00.000Z",
+  });
+  assert.equal(baseline.stats.performance.min, 70);
+  assert.equal(baseline.bestPractices, null);
+
+  // A run is never part of its own baseline
+  const before = rollingBaseline(records, {
+    window: 3,
+    before: "2026-01-07T08:00:00.000Z",
+  });
+  assert.equal(before.rolling.to, "2026-01-06T08:00:00.000Z");
+  assert.equal(before.performance, 90);
+});
+
+test("a rolling baseline with fewer runs than the window uses them all", () => {
+  const baseline = rollingBaseline([record(1, 80), record(2, 90)], {
+    window: 7,
+  });
+  assert.equal(baseline.performance, 85);
+  assert.equal(baseline.rolling.runs, 2);
+  assert.equal(baseline.runs, 2);
+
+  assert.equal(rollingBaseline([], { window: 7 }), null);
+  assert.equal(rollingBaseline([{ ...record(1, 80), type: "baseline" }]), null);
+});
+
+test("falls back to the fixed baseline until there is history", async () => {
+  const history = new HistoryStore(path.join(dir, "history"));
+  await store.save(KEY, { performance: 75 }, meta(1));
+  const options = {
+    rollingWindow: rollingWindowFor({ baseline: { mode: "rolling" } }),
+  };
+  assert.equal(options.rollingWindow, 7);
+  assert.equal(rollingWindowFor({}), null);
+
+  assert.equal(
+    (await resolveBaseline(store, history, KEY, options)).performance,
+    75
+  );
+
+  await history.append(KEY, record(2, 88));
+  const rolling = await resolveBaseline(store, history, KEY, options);
+  assert.equal(rolling.performance, 88);
+  assert.equal(rolling.rolling.runs, 1);
+  // Without a rolling window history is ignored
+  assert.equal((await resolveBaseline(store, history, KEY)).performance, 75);
+});
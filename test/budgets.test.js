@@ -0,0 +1,147 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const PageSpeedMonitor = require("../scripts/run");
+const { ReplayRunner } = require("../scripts/lib/replay-runner");
+const {
+  BudgetChecker,
+  EXIT_BUDGET_FAILED,
+  worstVerdict,
+} = require("../scripts/lib/budgets");
+
+const RECORDINGS = path.join(__dirname, "fixtures", "replay");
+const URL = "https://example.com/";
+
+let dir;
+let budgets;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-budgets-"));
+  await fs.writeJson(path.join(dir, "budgets.json"), {
+    defaults: {
+      performance: { min: 50, maxDrop: 10, warnDrop: 5 },
+      accessibility: { min: 90 },
+    },
+  });
+  budgets = new BudgetChecker(path.join(dir, "budgets.json"));
+  await budgets.load();
+});
+
+after(() => fs.remove(dir));
+
+const scores = (performance, accessibility = 95) => ({
+  performance,
+  accessibility,
+  bestPractices: null,
+  seo: null,
+});
+const check = (verdict, category) =>
+  verdict.checks.find((c) => category === c.category);
+
+test("passes within every limit", () => {
+  const verdict = budgets.evaluate(scores(88), scores(90));
+  assert.equal(verdict.status, "pass");
+  assert.deepEqual(
+    verdict.checks.map((c) => c.category),
+    ["performance", "accessibility"]
+  );
+  assert.equal(check(verdict, "performance").drop, 2);
+});
+
+test("fails below the minimum, with or without a baseline", () => {
+  const verdict = budgets.evaluate(scores(45), null);
+  assert.equal(verdict.status, "fail");
+  assert.deepEqual(check(verdict, "performance").reasons, [
+    "45 is below the minimum of 50",
+  ]);
+  assert.equal(check(verdict, "performance").drop, null);
+  assert.equal(budgets.evaluate(scores(90, 85), null).status, "fail");
+});
+
+test("warns past warnDrop and fails past maxDrop", () => {
+  const warned = check(budgets.evaluate(scores(84), scores(90)), "performance");
+  assert.equal(warned.status, "warn");
+  assert.deepEqual(warned.reasons, ["dropped 6 points (warn at 5)"]);
+
+  const failed = check(budgets.evaluate(scores(79), scores(90)), "performance");
+  assert.equal(failed.status, "fail");
+  assert.deepEqual(failed.reasons, ["dropped 11 points (max 10)"]);
+
+  // Exactly at the limit is still fine
+  assert.equal(budgets.evaluate(scores(85), scores(90)).status, "pass");
+  assert.equal(budgets.evaluate(scores(80), scores(90)).status, "warn");
+});
+
+test("per-URL overrides win field by field", () => {
+  const overrides = { performance: { maxDrop: 3 }, accessibility: { min: 0 } };
+  assert.deepEqual(budgets.budgetFor("performance", overrides), {
+    min: 50,
+    maxDrop: 3,
+    warnDrop: 5,
+  });
+
+  const verdict = budgets.evaluate(scores(86, 85), scores(90), overrides);
+  assert.equal(check(verdict, "performance").status, "fail");
+  assert.deepEqual(check(verdict, "performance").reasons, [
+    "dropped 4 points (max 3)",
+  ]);
+  assert.equal(check(verdict, "accessibility").status, "pass");
+  // The default min still applies
+  assert.equal(
+    check(budgets.evaluate(scores(40), null, overrides), "performance").status,
+    "fail"
+  );
+});
+
+test("categories that weren't measured have no verdict", () => {
+  const verdict = budgets.evaluate(scores(null), scores(90));
+  assert.deepEqual(
+    verdict.checks.map((c) => c.category),
+    ["accessibility"]
+  );
+});
+
+test("the worst verdict wins", () => {
+  assert.equal(worstVerdict([]), "pass");
+  assert.equal(worstVerdict(["pass", "warn", "pass"]), "warn");
+  assert.equal(worstVerdict(["warn", "fail", "pass"]), "fail");
+});
+
+test("a run exits with code 2 on a failure but not on a warning", async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  mock.method(console, "error", () => {});
+  const outputDir = path.join(dir, "run");
+  const monitor = (recordings, budgetsFile) => {
+    const runner = new ReplayRunner(path.join(RECORDINGS, recordings));
+    return new PageSpeedMonitor({
+      outputDir,
+      urlsFile: path.join(outputDir, "urls.json"),
+      budgetsFile: path.join(dir, budgetsFile),
+      reporters: [],
+      notify: false,
+      createRunner: () => runner,
+    });
+  };
+  try {
+    await fs.outputJson(path.join(outputDir, "urls.json"), [
+      { url: URL, profiles: ["mobile"], runs: 3 },
+    ]);
+    await fs.writeJson(path.join(dir, "lenient.json"), {
+      defaults: { performance: { maxDrop: 30, warnDrop: 5 } },
+    });
+    await monitor("baseline", "budgets.json").measure({ baseline: true });
+
+    // 91 → 71
+    assert.equal(await monitor("regressed", "lenient.json").measure(), 0);
+    assert.equal(
+      await monitor("regressed", "budgets.json").measure(),
+      EXIT_BUDGET_FAILED
+    );
+    assert.equal(EXIT_BUDGET_FAILED, 2);
+  } finally {
+    mock.restoreAll();
+  }
+});
@@ -0,0 +1,65 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const PageSpeedMonitor = require("../scripts/run");
+const IndexGenerator = require("../scripts/generate-index");
+const { ReplayRunner } = require("../scripts/lib/replay-runner");
+
+const RECORDINGS = path.join(__dirname, "fixtures", "replay", "baseline");
+const URL = "https://example.com/";
+
+let dir;
+
+beforeEach(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-dashboard-"));
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await fs.remove(dir);
+});
+
+// Measures the replayed runs against themselves and builds docs/
+async function buildDashboard(entries) {
+  const options = {
+    outputDir: dir,
+    urlsFile: path.join(dir, "urls.json"),
+    budgetsFile: path.join(dir, "budgets.json"),
+    reporters: ["html"],
+    notify: false,
+  };
+  await fs.writeJson(options.urlsFile, entries);
+  for (const baseline of [true, false]) {
+    const runner = new ReplayRunner(RECORDINGS);
+    await new PageSpeedMonitor({
+      ...options,
+      createRunner: () => runner,
+    }).measure({ baseline });
+  }
+  await new IndexGenerator(options).generateIndex();
+  return fs.readFile(path.join(dir, "docs", "index.html"), "utf8");
+}
+
+test("escapes groups and labels from urls.json", async () => {
+  const html = await buildDashboard([
+    {
+      url: URL,
+      label: "Home <i>new</i>",
+      group: "<script>alert(1)</script> & more",
+      profiles: ["mobile"],
+      runs: 3,
+    },
+  ]);
+
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.doesNotMatch(html, /<i>new<\/i>/);
+  assert.match(
+    html,
+    /<h2 class="group-title">&lt;script&gt;alert\(1\)&lt;\/script&gt; &amp; more<\/h2>/
+  );
+  assert.match(html, /<h3 class="report-title">Home &lt;i&gt;new&lt;\/i&gt;/);
+});
@@ -0,0 +1,161 @@
+const {
+  test,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const PageSpeedMonitor = require("../scripts/run");
+const { fetchSitemapUrls } = require("../scripts/lib/sitemap");
+
+// A locally served site: a sitemap index pointing at a urlset and at a
+// nested index, which in turn points at a gzipped sitemap
+const urlset = (locs) =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map((loc) => `  <url><loc>${loc}</loc></url>`).join("\n")}
+</urlset>`;
+const sitemapIndex = (locs) =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map((loc) => `  <sitemap><loc>${loc}</loc></sitemap>`).join("\n")}
+</sitemapindex>`;
+
+function sitemaps(origin) {
+  return {
+    "/sitemap.xml": sitemapIndex([
+      `${origin}/sitemaps/pages.xml`,
+      // Relative locations resolve against the index
+      "sitemaps/nested.xml",
+    ]),
+    "/sitemaps/pages.xml": urlset([
+      `${origin}/`,
+      `${origin}/about/`,
+      `${origin}/docs/install/`,
+      `${origin}/docs/search/?q=a&amp;page=2`,
+      `${origin}/about/`,
+    ]),
+    "/sitemaps/nested.xml": sitemapIndex([`${origin}/sitemaps/blog.xml.gz`]),
+    "/sitemaps/blog.xml.gz": zlib.gzipSync(
+      urlset([
+        `${origin}/blog/first/`,
+        `${origin}/blog/second/`,
+        `${origin}/blog/2024/archive/`,
+        `<![CDATA[${origin}/docs/install/]]>`,
+      ])
+    ),
+  };
+}
+
+let server;
+let origin;
+let dir;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const body = sitemaps(origin)[req.url];
+    if (!body) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/xml" });
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(async () => {
+  mock.method(console, "log", () => {});
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-discovery-"));
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await fs.remove(dir);
+});
+
+test("reads nested sitemap indexes and gzipped sitemaps", async () => {
+  const urls = await fetchSitemapUrls([`${origin}/sitemap.xml`]);
+  assert.deepEqual(urls, [
+    `${origin}/`,
+    `${origin}/about/`,
+    `${origin}/docs/install/`,
+    `${origin}/docs/search/?q=a&page=2`,
+    `${origin}/blog/first/`,
+    `${origin}/blog/second/`,
+    `${origin}/blog/2024/archive/`,
+  ]);
+});
+
+test("fails on a sitemap that can't be fetched", async () => {
+  await assert.rejects(
+    fetchSitemapUrls([`${origin}/missing.xml`]),
+    /Could not fetch sitemap .*\/missing\.xml: HTTP 404/
+  );
+});
+
+test("merges the filtered URLs into urls.json without duplicates", async () => {
+  const urlsFile = path.join(dir, "urls.json");
+  await fs.writeJson(urlsFile, [
+    { url: `${origin}/about/`, label: "About" },
+    "https://example.com/",
+  ]);
+  const monitor = new PageSpeedMonitor({ outputDir: dir, urlsFile });
+
+  const code = await monitor.discover({
+    sitemaps: [`${origin}/sitemap.xml`],
+    include: ["/about", "/docs/**", "/blog/*"],
+    exclude: ["re:\\?"],
+  });
+  assert.equal(code, 0);
+  assert.deepEqual(await fs.readJson(urlsFile), [
+    { url: `${origin}/about/`, label: "About" },
+    "https://example.com/",
+    `${origin}/docs/install/`,
+    `${origin}/blog/first/`,
+    `${origin}/blog/second/`,
+  ]);
+
+  // Discovering again adds nothing; --replace drops what the sitemap lacks
+  await monitor.discover({
+    sitemaps: [`${origin}/sitemap.xml`],
+    include: ["/about", "/docs/**", "/blog/*"],
+    exclude: ["re:\\?"],
+    replace: true,
+  });
+  assert.deepEqual(await fs.readJson(urlsFile), [
+    { url: `${origin}/about/`, label: "About" },
+    `${origin}/docs/install/`,
+    `${origin}/blog/first/`,
+    `${origin}/blog/second/`,
+  ]);
+});
+
+test("samples a stable subset of the matching URLs", async () => {
+  const urlsFile = path.join(dir, "urls.json");
+  const monitor = new PageSpeedMonitor({
+    outputDir: dir,
+    urlsFile,
+    discovery: { sitemaps: [`${origin}/sitemap.xml`] },
+  });
+
+  await monitor.discover({ sample: { "/blog/**": 1 } });
+  const first = await fs.readJson(urlsFile);
+  assert.equal(first.filter((url) => url.includes("/blog/")).length, 1);
+  assert.equal(first.length, 5);
+
+  await fs.remove(urlsFile);
+  await monitor.discover({ sample: { "/blog/**": 1 } });
+  assert.deepEqual(await fs.readJson(urlsFile), first);
+});
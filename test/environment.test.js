@@ -0,0 +1,213 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const PageSpeedMonitor = require("../scripts/run");
+const { ReplayRunner } = require("../scripts/lib/replay-runner");
+const {
+  environmentConfig,
+  checkBenchmark,
+  calibrateCpuSlowdown,
+  compareEnvironments,
+} = require("../scripts/lib/environment");
+
+const RECORDINGS = path.join(__dirname, "fixtures", "replay");
+const URL = "https://example.com/";
+
+let dir;
+
+beforeEach(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  mock.method(console, "error", () => {});
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-environment-"));
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await fs.remove(dir);
+});
+
+test("validates the environment config", () => {
+  assert.deepEqual(environmentConfig({}), { tolerance: 0.2, range: null });
+  assert.deepEqual(
+    environmentConfig({ environment: { benchmarkIndex: { min: 1000 } } }).range,
+    { min: 1000, max: Infinity, action: "warn" }
+  );
+  const invalid = [
+    { benchmarkTolerance: -1 },
+    { benchmarkIndex: { min: 2000, max: 1000 } },
+    { benchmarkIndex: { min: "1000" } },
+    { benchmarkIndex: { min: 1000, max: 2000, action: "ignore" } },
+    { benchmarkIndex: { min: 1000, action: "normalize" } },
+  ];
+  for (const environment of invalid) {
+    assert.throws(
+      () => environmentConfig({ environment }),
+      /^Error: environment\./,
+      JSON.stringify(environment)
+    );
+  }
+});
+
+test("checks the benchmark against the range", () => {
+  const range = { min: 1000, max: 2000 };
+  assert.equal(checkBenchmark({ benchmarkIndex: 1500 }, range), null);
+  assert.equal(checkBenchmark({ benchmarkIndex: 1000 }, range), null);
+  assert.equal(
+    checkBenchmark({ benchmarkIndex: 900 }, range),
+    "benchmark index 900 is below the minimum of 1000"
+  );
+  assert.equal(
+    checkBenchmark({ benchmarkIndex: 2100 }, range),
+    "benchmark index 2100 is above the maximum of 2000"
+  );
+  assert.equal(checkBenchmark({ benchmarkIndex: null }, range), null);
+  assert.equal(checkBenchmark({ benchmarkIndex: 900 }, null), null);
+
+  // A slower machine gets less throttling, but never less than none
+  assert.equal(calibrateCpuSlowdown(4, 1500, { min: 2000, max: 3000 }), 2.4);
+  assert.equal(calibrateCpuSlowdown(4, 3000, { min: 1000, max: 2000 }), 8);
+  assert.equal(calibrateCpuSlowdown(1, 500, { min: 2000, max: 3000 }), 1);
+});
+
+const environment = (overrides = {}) => ({
+  lighthouseVersion: "11.7.1",
+  chromeVersion: "124.0.6367.60",
+  formFactor: "mobile",
+  throttlingMethod: "simulate",
+  throttling: { rttMs: 150, cpuSlowdownMultiplier: 4 },
+  benchmarkIndex: 1500,
+  ...overrides,
+});
+
+test("compares environments within the benchmark tolerance", () => {
+  assert.deepEqual(compareEnvironments(environment(), environment()), []);
+  // Patch versions and a benchmark within 20% are comparable
+  assert.deepEqual(
+    compareEnvironments(
+      environment({
+        lighthouseVersion: "11.7.2",
+        chromeVersion: "124.0.6367.91",
+        benchmarkIndex: 1750,
+      }),
+      environment()
+    ),
+    []
+  );
+  assert.deepEqual(
+    compareEnvironments(
+      environment({
+        lighthouseVersion: "12.0.0",
+        chromeVersion: "125.0.0.0",
+        // Exactly 20% slower is still within the tolerance
+        benchmarkIndex: 1200,
+      }),
+      environment()
+    ),
+    ["Lighthouse 11.7.1 → 12.0.0", "Chrome 124.0.6367.60 → 125.0.0.0"]
+  );
+  assert.deepEqual(
+    compareEnvironments(environment({ benchmarkIndex: 1100 }), environment()),
+    ["machine benchmark 1500 → 1100 (-27%)"]
+  );
+  assert.deepEqual(
+    compareEnvironments(environment({ benchmarkIndex: 1200 }), environment(), {
+      tolerance: 0.1,
+    }),
+    ["machine benchmark 1500 → 1200 (-20%)"]
+  );
+
+  // A calibrated run differs in CPU throttling and benchmark on purpose
+  const calibrated = environment({
+    calibrated: true,
+    benchmarkIndex: 900,
+    throttling: { rttMs: 150, cpuSlowdownMultiplier: 2.4 },
+  });
+  assert.deepEqual(compareEnvironments(calibrated, environment()), []);
+  assert.deepEqual(
+    compareEnvironments(
+      environment({ throttling: { rttMs: 300, cpuSlowdownMultiplier: 4 } }),
+      environment()
+    ),
+    ["throttling rttMs 150 → 300"]
+  );
+  assert.deepEqual(compareEnvironments(environment(), null), []);
+});
+
+// Measures the replayed URL on a machine with benchmarkIndex 1500
+function measure(benchmarkIndex, options = {}) {
+  const runner = new ReplayRunner(path.join(RECORDINGS, "baseline"));
+  const monitor = new PageSpeedMonitor({
+    outputDir: dir,
+    urlsFile: path.join(dir, "urls.json"),
+    budgetsFile: path.join(dir, "budgets.json"),
+    reporters: [],
+    notify: false,
+    retries: 0,
+    environment: { benchmarkIndex },
+    createRunner: () => runner,
+    ...options,
+  });
+  const result = monitor.runMultipleLighthouse({
+    url: URL,
+    profile: "mobile",
+    runs: 3,
+  });
+  return { monitor, runner, result };
+}
+
+test("warns about runs on a machine outside the range", async () => {
+  const { result } = measure({ min: 2000, max: 3000 });
+  const { environment: measured, rawResults } = await result;
+  assert.equal(rawResults.length, 3);
+  assert.equal(
+    measured.outOfRange,
+    "benchmark index 1500 is below the minimum of 2000"
+  );
+  assert.match(console.warn.mock.calls[0].arguments[0], /Machine benchmark/);
+
+  // Within the range nothing is flagged
+  const { environment: inRange } = await measure({ min: 1000, max: 2000 })
+    .result;
+  assert.equal(inRange.outOfRange, undefined);
+});
+
+test("rejects runs on a machine outside the range", async () => {
+  const { status, failures } = await measure({
+    min: 2000,
+    max: 3000,
+    action: "reject",
+  }).result;
+  assert.equal(status, "failed");
+  assert.equal(failures.length, 3);
+  assert.equal(failures[0].type, "benchmark");
+  assert.equal(failures[0].code, "BENCHMARK_OUT_OF_RANGE");
+});
+
+test("normalize repeats the first run with calibrated throttling", async () => {
+  const { monitor, runner, result } = measure(
+    { min: 2000, max: 3000, action: "normalize" },
+    { archive: { enabled: true } }
+  );
+  const { environment: measured, rawResults } = await result;
+  assert.equal(rawResults.length, 3);
+  assert.equal(runner.played.get(ReplayRunner.keyFor(URL)), 4);
+  assert.equal(measured.calibrated, true);
+  assert.equal(measured.outOfRange, undefined);
+  assert.ok(
+    console.log.mock.calls.some(({ arguments: [message] }) =>
+      /CPU slowdown 4 → 2\.4, repeating the run/.test(message)
+    )
+  );
+
+  // Only the runs that count are archived
+  const archived = await monitor.runArchive.list(
+    monitor.resultKey(URL, "mobile")
+  );
+  assert.deepEqual(
+    archived,
+    rawResults.map((run) => run.archive)
+  );
+});
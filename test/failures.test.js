@@ -0,0 +1,132 @@
+const { test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  RunFailure,
+  classifyRuntimeError,
+  classifyError,
+  isRetryable,
+  needsRestart,
+  withTimeout,
+} = require("../scripts/lib/failures");
+
+afterEach(() => mock.restoreAll());
+
+// An error as Lighthouse throws it, with its runtimeError code
+const lighthouseError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+test("classifies Lighthouse runtime errors", () => {
+  const status = classifyRuntimeError({
+    code: "ERRORED_DOCUMENT_REQUEST",
+    message:
+      "Lighthouse was unable to reliably load the page you requested. (Status code: 404)",
+  });
+  assert.equal(status.type, "http-status");
+  assert.equal(status.status, 404);
+
+  assert.equal(
+    classifyRuntimeError({ code: "DNS_FAILURE" }).type,
+    "navigation"
+  );
+  assert.equal(
+    classifyRuntimeError({ code: "TARGET_CRASHED" }).type,
+    "chrome-crash"
+  );
+  const other = classifyRuntimeError({ code: "NO_FCP" });
+  assert.equal(other.type, "runtime-error");
+  assert.equal(other.message, "NO_FCP");
+});
+
+test("classifies thrown errors", () => {
+  const cases = [
+    [lighthouseError("NO_FCP", "The page did not paint"), "runtime-error"],
+    [lighthouseError("FAILED_DOCUMENT_REQUEST", "failed"), "navigation"],
+    [
+      new Error("net::ERR_NAME_NOT_RESOLVED at https://x.invalid"),
+      "navigation",
+    ],
+    [new Error("getaddrinfo ENOTFOUND x.invalid"), "navigation"],
+    [new Error("net::ERR_CONNECTION_REFUSED"), "navigation"],
+    [new Error("Protocol error: Target closed"), "chrome-crash"],
+    [new Error("connect ECONNREFUSED 127.0.0.1:9222"), "chrome-crash"],
+    // Node's own codes are matched by message, not as Lighthouse codes
+    [lighthouseError("ERR_INVALID_URL", "Invalid URL"), "unknown"],
+    ["a string", "unknown"],
+  ];
+  for (const [error, type] of cases) {
+    assert.equal(classifyError(error).type, type, String(error));
+  }
+  assert.equal(
+    classifyError(new Error("getaddrinfo ENOTFOUND x.invalid")).code,
+    "DNS_FAILURE"
+  );
+
+  const failure = new RunFailure("timeout", "No result after 1s");
+  assert.equal(classifyError(failure), failure);
+  assert.deepEqual(JSON.parse(JSON.stringify(failure)), {
+    type: "timeout",
+    code: null,
+    status: null,
+    message: "No result after 1s",
+  });
+});
+
+test("client errors aren't retried; crashes and timeouts restart Chrome", () => {
+  const httpStatus = (status) =>
+    new RunFailure("http-status", `HTTP ${status}`, { status });
+  assert.equal(isRetryable(httpStatus(404)), false);
+  assert.equal(isRetryable(httpStatus(403)), false);
+  assert.equal(isRetryable(httpStatus(503)), true);
+  assert.equal(isRetryable(new RunFailure("http-status", "no status")), true);
+  assert.equal(isRetryable(new RunFailure("navigation", "DNS")), true);
+  assert.equal(isRetryable(new RunFailure("timeout", "slow")), true);
+
+  assert.equal(needsRestart(new RunFailure("chrome-crash", "gone")), true);
+  assert.equal(needsRestart(new RunFailure("timeout", "slow")), true);
+  assert.equal(needsRestart(new RunFailure("navigation", "DNS")), false);
+  assert.equal(needsRestart(httpStatus(500)), false);
+});
+
+// The timer withTimeout() set for `ms`
+const timerOf = (setTimer, ms) =>
+  setTimer.mock.calls.find(({ arguments: [, delay] }) => ms === delay).result;
+
+test("a run past its timeout rejects and clears its timer", async () => {
+  const setTimer = mock.method(globalThis, "setTimeout");
+  const clearTimer = mock.method(globalThis, "clearTimeout");
+  let rejectLate;
+  const hung = new Promise((resolve, reject) => (rejectLate = reject));
+
+  await assert.rejects(withTimeout(hung, 20), (error) => {
+    assert.ok(error instanceof RunFailure);
+    assert.equal(error.type, "timeout");
+    assert.equal(error.code, "RUN_TIMEOUT");
+    assert.equal(error.message, "No result after 0.02s");
+    return true;
+  });
+  const timer = timerOf(setTimer, 20);
+  assert.ok(
+    clearTimer.mock.calls.some(({ arguments: [cleared] }) => cleared === timer)
+  );
+  // The abandoned run failing later is no unhandled rejection
+  rejectLate(new Error("Target closed"));
+});
+
+test("a run within its timeout resolves and clears its timer", async () => {
+  const setTimer = mock.method(globalThis, "setTimeout");
+  const clearTimer = mock.method(globalThis, "clearTimeout");
+
+  assert.equal(await withTimeout(Promise.resolve("lhr"), 60000), "lhr");
+  const timer = timerOf(setTimer, 60000);
+  assert.ok(
+    clearTimer.mock.calls.some(({ arguments: [cleared] }) => cleared === timer)
+  );
+
+  await assert.rejects(
+    withTimeout(Promise.reject(new Error("NO_FCP")), 60000),
+    /NO_FCP/
+  );
+  // Without a timeout the run is passed through
+  const run = Promise.resolve("lhr");
+  assert.equal(withTimeout(run, 0), run);
+});
@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const PageSpeedMonitor = require("../scripts/run");
+const { BudgetChecker } = require("../scripts/lib/budgets");
+
+// A Lighthouse result of a flow step; timespan and snapshot steps score
+// their weightless Performance category 0
+const step = (name, gatherMode, performance) => ({
+  name,
+  lhr: {
+    gatherMode,
+    categories: {
+      performance: { score: performance },
+      accessibility: { score: 0.9 },
+      "best-practices": { score: 1 },
+      seo: { score: 0.8 },
+    },
+    audits: {},
+  },
+});
+
+const monitor = new PageSpeedMonitor({
+  outputDir: path.join(os.tmpdir(), "pagespeed-flows"),
+});
+
+test("timespan and snapshot steps have no Performance score", () => {
+  const result = monitor.summarizeFlow({
+    steps: [
+      step("Home", "navigation", 0.85),
+      step("Open menu", "timespan", 0),
+      step("Menu", "snapshot", 0),
+    ],
+  });
+  assert.deepEqual(
+    result.steps.map(({ name, performance, accessibility }) => [
+      name,
+      performance,
+      accessibility,
+    ]),
+    [
+      ["Home", 85, 90],
+      ["Open menu", null, 90],
+      ["Menu", null, 90],
+    ]
+  );
+  assert.equal(result.performance, 85);
+});
+
+test("a flow without a navigation doesn't fail the Performance budget", async () => {
+  const result = monitor.summarizeFlow({
+    steps: [step("Open menu", "timespan", 0), step("Menu", "snapshot", 0)],
+  });
+  assert.equal(result.performance, null);
+  assert.equal(result.accessibility, 90);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-flows-"));
+  try {
+    const budgetsFile = path.join(dir, "budgets.json");
+    await fs.writeJson(budgetsFile, {
+      defaults: { performance: { min: 50 }, accessibility: { min: 80 } },
+    });
+    const budgets = new BudgetChecker(budgetsFile);
+    await budgets.load();
+    const verdict = budgets.evaluate(
+      { url: "https://example.com/", ...result },
+      null
+    );
+    assert.equal(verdict.status, "pass");
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test("results from before gatherMode count as navigations", () => {
+  const { lhr } = step("Home", undefined, 0.5);
+  assert.equal(monitor.summarizeLhr(lhr).performance, 50);
+});
@@ -0,0 +1,190 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { Notifier } = require("../scripts/lib/notifier");
+
+// A local stand-in for Slack and webhook receivers: records every request
+// and answers with the status set by the test
+let server;
+let baseUrl;
+let requests;
+let status;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({
+        path: req.url,
+        headers: req.headers,
+        body: JSON.parse(body),
+      });
+      res.writeHead(status);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  status = 200;
+  mock.restoreAll();
+  mock.method(console, "log", () => {});
+});
+
+const entry = (url, scores, delta) => ({
+  result: { url, profile: "mobile", status: "ok", ...scores },
+  delta: {
+    performance: null,
+    accessibility: null,
+    bestPractices: null,
+    seo: null,
+    ...delta,
+  },
+  reportFile: "report.html",
+});
+
+const REGRESSED = entry(
+  "https://example.com/",
+  { performance: 70, accessibility: 95 },
+  { performance: -20, accessibility: -2 }
+);
+const IMPROVED = entry(
+  "https://example.com/about/",
+  { performance: 90 },
+  { performance: 5 }
+);
+
+const createNotifier = (options = {}) =>
+  new Notifier({
+    targets: [
+      { type: "webhook", url: `${baseUrl}/hook`, headers: { "X-Token": "t" } },
+      { type: "slack", url: `${baseUrl}/slack` },
+    ],
+    reportBaseUrl: "https://example.github.io/pagespeed/",
+    ...options,
+  });
+
+test("posts the summary to webhooks and a text message to Slack", async () => {
+  const notifier = createNotifier({ minDelta: 3 });
+  const summary = notifier.buildSummary([REGRESSED, IMPROVED]);
+  assert.equal(await notifier.notify(summary), 2);
+
+  const [webhook, slack] = requests;
+  assert.equal(webhook.path, "/hook");
+  assert.equal(webhook.headers["content-type"], "application/json");
+  assert.equal(webhook.headers["x-token"], "t");
+  assert.deepEqual(webhook.body, JSON.parse(JSON.stringify(summary)));
+  assert.deepEqual(webhook.body.totals, {
+    urls: 2,
+    regressions: 1,
+    improvements: 1,
+    budgetFailures: 0,
+    measurementFailures: 0,
+  });
+  // The accessibility drop is below minDelta
+  assert.deepEqual(webhook.body.urls[0].regressions, [
+    {
+      category: "performance",
+      label: "Performance",
+      baseline: 90,
+      current: 70,
+      delta: -20,
+    },
+  ]);
+  assert.equal(
+    webhook.body.urls[0].reportUrl,
+    "https://example.github.io/pagespeed/report.html"
+  );
+
+  assert.equal(slack.path, "/slack");
+  assert.match(
+    slack.body.text,
+    /<https:\/\/example\.github\.io\/pagespeed\/report\.html\|https:\/\/example\.com\/> \[mobile\]/
+  );
+  assert.match(slack.body.text, /▼ Performance 90 → 70 \(-20\)/);
+});
+
+test("only notifies on regressions when onlyOnRegression is set", async () => {
+  const notifier = createNotifier({ onlyOnRegression: true, minDelta: 3 });
+  assert.equal(await notifier.notify(notifier.buildSummary([IMPROVED])), 0);
+  assert.equal(requests.length, 0);
+
+  assert.equal(
+    await notifier.notify(notifier.buildSummary([IMPROVED, REGRESSED])),
+    2
+  );
+  assert.equal(requests.length, 2);
+});
+
+test("changes below minDelta don't count as regressions", async () => {
+  const small = entry(
+    "https://example.com/",
+    { performance: 88 },
+    { performance: -2 }
+  );
+  const notifier = createNotifier({ onlyOnRegression: true, minDelta: 3 });
+  assert.equal(notifier.buildSummary([small]).totals.regressions, 0);
+
+  // minDelta 0 is kept rather than replaced by the default of 1
+  const strict = createNotifier({ minDelta: 0 });
+  assert.equal(strict.minDelta, 0);
+  assert.equal(createNotifier().minDelta, 1);
+});
+
+test("a non-2xx reply is logged and doesn't fail the run", async () => {
+  status = 500;
+  const warn = mock.method(console, "warn", () => {});
+  const notifier = createNotifier();
+  assert.equal(await notifier.notify(notifier.buildSummary([REGRESSED])), 0);
+
+  // Both targets were tried, and each failure was reported
+  assert.equal(requests.length, 2);
+  assert.equal(warn.mock.callCount(), 2);
+  assert.match(warn.mock.calls[0].arguments[0], /Could not send webhook/);
+  assert.match(warn.mock.calls[0].arguments[1], /HTTP 500/);
+  await assert.rejects(
+    notifier.post(`${baseUrl}/hook`, {}),
+    /HTTP 500 Internal Server Error/
+  );
+});
+
+test("requires an absolute report URL once targets are configured", () => {
+  for (const reportBaseUrl of [undefined, "reports/", "/pagespeed/"]) {
+    assert.throws(
+      () => createNotifier({ reportBaseUrl }),
+      /reportBaseUrl must be an absolute http\(s\) URL/
+    );
+  }
+  // Nothing is sent without targets, so nothing is linked either
+  assert.equal(new Notifier({}).enabled, false);
+
+  process.env.PAGES_URL = "https://example.github.io/pagespeed";
+  try {
+    const notifier = createNotifier({ reportBaseUrl: "${PAGES_URL}" });
+    assert.equal(
+      notifier.reportBaseUrl,
+      "https://example.github.io/pagespeed/"
+    );
+  } finally {
+    delete process.env.PAGES_URL;
+  }
+});
+
+test("escapes labels in the Slack text", () => {
+  const notifier = createNotifier();
+  const labelled = {
+    ...REGRESSED,
+    result: { ...REGRESSED.result, label: "<!channel> Tips & <b>tricks</b>" },
+  };
+  const { text } = notifier.formatSlack(notifier.buildSummary([labelled]));
+  assert.match(
+    text,
+    /<https:\/\/example\.github\.io\/pagespeed\/report\.html\|&lt;!channel&gt; Tips &amp; &lt;b&gt;tricks&lt;\/b&gt;> \[mobile\]/
+  );
+});
@@ -0,0 +1,253 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const PageSpeedMonitor = require("../scripts/run");
+const { ReplayRunner } = require("../scripts/lib/replay-runner");
+const { EXIT_BUDGET_FAILED } = require("../scripts/lib/budgets");
+
+// Measurements replayed from recorded Lighthouse results in
+// fixtures/replay/: the same three runs of https://example.com/ every time,
+// once as recorded for the baseline and once after a regression
+const RECORDINGS = path.join(__dirname, "fixtures", "replay");
+const URL = "https://example.com/";
+
+let dir;
+
+beforeEach(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  mock.method(console, "error", () => {});
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-replay-"));
+  await fs.writeJson(path.join(dir, "urls.json"), [
+    { url: URL, profiles: ["mobile"], runs: 3 },
+  ]);
+  await fs.writeJson(path.join(dir, "budgets.json"), {
+    defaults: { performance: { min: 50, maxDrop: 10, warnDrop: 5 } },
+  });
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await fs.remove(dir);
+});
+
+function createMonitor(recordings) {
+  const runner = new ReplayRunner(path.join(RECORDINGS, recordings));
+  return new PageSpeedMonitor({
+    outputDir: dir,
+    urlsFile: path.join(dir, "urls.json"),
+    budgetsFile: path.join(dir, "budgets.json"),
+    reporters: ["html", "markdown", "json"],
+    notify: false,
+    createRunner: () => runner,
+  });
+}
+
+const readReport = (file) =>
+  fs.readFile(path.join(dir, "reports", file), "utf8");
+
+test("aggregates the median of the replayed runs", async () => {
+  const monitor = createMonitor("baseline");
+  assert.equal(await monitor.measure({ baseline: true }), 0);
+
+  const baseline = await monitor.loadBaseline(URL, "mobile");
+  assert.equal(baseline.performance, 91);
+  assert.equal(baseline.accessibility, 95);
+  assert.equal(baseline.runs, 3);
+  assert.deepEqual(baseline.outliers, []);
+  assert.equal(baseline.stats.performance.min, 90);
+  assert.equal(baseline.stats.performance.max, 92);
+  assert.equal(baseline.metrics.lcp, 2000);
+  assert.equal(baseline.environment.lighthouseVersion, "11.7.1");
+  assert.equal(baseline.environment.chromeVersion, "124.0.0.0");
+  assert.equal(baseline.meta.source, "measured");
+});
+
+test("passes when nothing changed against the baseline", async () => {
+  await createMonitor("baseline").measure({ baseline: true });
+  const monitor = createMonitor("baseline");
+  assert.equal(await monitor.measure(), 0);
+
+  const { results } = JSON.parse(await readReport("summary.json"));
+  assert.equal(results.length, 1);
+  assert.equal(results[0].delta.performance, 0);
+  assert.equal(results[0].budget.status, "pass");
+  assert.deepEqual(results[0].delta.environment, []);
+});
+
+test("exits with code 2 when a regression breaks the budget", async () => {
+  await createMonitor("baseline").measure({ baseline: true });
+  const monitor = createMonitor("regressed");
+  assert.equal(await monitor.measure(), EXIT_BUDGET_FAILED);
+
+  const latest = await monitor.loadResult(monitor.latestDir, URL, "mobile");
+  assert.equal(latest.performance, 71);
+  const delta = monitor.calculateDelta(
+    latest,
+    await monitor.loadBaseline(URL, "mobile")
+  );
+  assert.equal(delta.performance, -20);
+  assert.equal(delta.metrics.lcp, 1100);
+  assert.equal(delta.significant.performance, true);
+  assert.deepEqual(
+    delta.audits
+      .filter((audit) => "new" === audit.change)
+      .map((audit) => audit.id),
+    ["unused-javascript"]
+  );
+
+  const { results } = JSON.parse(await readReport("summary.json"));
+  const [result] = results;
+  assert.equal(result.scores.performance, 71);
+  assert.equal(result.baseline.scores.performance, 91);
+  assert.equal(result.delta.performance, -20);
+  assert.equal(result.budget.status, "fail");
+  assert.deepEqual(result.budget.checks[0].reasons, [
+    "dropped 20 points (max 10)",
+  ]);
+});
+
+test("writes the regression into every report format", async () => {
+  await createMonitor("baseline").measure({ baseline: true });
+  const monitor = createMonitor("regressed");
+  await monitor.measure();
+  const key = monitor.resultKey(URL, "mobile");
+
+  const markdown = await readReport("summary.md");
+  assert.match(
+    markdown,
+    /\| https:\/\/example\.com\/ \| mobile \| \*\*71\*\* \(▼ 20\)/
+  );
+  assert.match(markdown, /Performance: dropped 20 points \(max 10\) \(fail\)/);
+
+  const html = await readReport(`${key}.html`);
+  assert.match(html, /<span class="verdict fail">fail<\/span>/);
+  assert.match(html, /Reduce unused JavaScript/);
+
+  const history = await monitor.history.load(key);
+  assert.deepEqual(
+    history.map((record) => [record.type, record.performance]),
+    [
+      ["baseline", 91],
+      ["latest", 71],
+    ]
+  );
+});
+
+test("escapes labels and tags in the report header", async () => {
+  await fs.writeJson(path.join(dir, "urls.json"), [
+    {
+      url: URL,
+      label: "Home <script>alert(1)</script>",
+      tags: ["a&b"],
+      profiles: ["mobile"],
+      runs: 3,
+    },
+  ]);
+  await createMonitor("baseline").measure({ baseline: true });
+  const monitor = createMonitor("baseline");
+  await monitor.measure();
+
+  const html = await readReport(`${monitor.resultKey(URL, "mobile")}.html`);
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.match(
+    html,
+    /<title>PageSpeed Report - Home &lt;script&gt;alert\(1\)&lt;\/script&gt;<\/title>/
+  );
+  assert.match(html, /<h2>Home &lt;script&gt;/);
+  assert.match(html, /a&amp;b/);
+});
+
+test("escapes the pair label in A/B comparisons", async () => {
+  const monitor = createMonitor("baseline");
+  await monitor.measure({ baseline: true });
+  const result = await monitor.loadBaseline(URL, "mobile");
+  const pair = {
+    label: "<img src=x onerror=alert(1)>",
+    a: { url: URL },
+    b: { url: URL },
+    profile: "mobile",
+  };
+  await monitor.saveComparison(pair, { a: result, b: result });
+
+  const html = await fs.readFile(
+    path.join(
+      monitor.comparisonsDir,
+      `${monitor.pairKey(pair, "mobile")}.html`
+    ),
+    "utf8"
+  );
+  assert.doesNotMatch(html, /<img src=x/);
+  assert.match(html, /<strong>&lt;img src=x onerror=alert\(1\)&gt;<\/strong>/);
+});
+
+test("only commands that save results migrate legacy result keys", async () => {
+  const { main } = require("../scripts/cli");
+  const config = path.join(dir, "pagespeed.config.json");
+  await fs.writeJson(config, {
+    outputDir: dir,
+    urlsFile: "urls.json",
+    budgetsFile: "budgets.json",
+    reporters: ["json"],
+    notify: false,
+  });
+  const legacy = path.join(dir, "baseline", "example-com-.mobile.json");
+  const baseline = await fs.readJson(
+    path.join(RECORDINGS, "baseline", "example-com-run1.json")
+  );
+  await fs.outputJson(legacy, { url: URL, profile: "mobile", baseline });
+
+  for (const command of ["compare", "report", "index"]) {
+    await main([command, "--config", config]);
+    assert.equal(await fs.pathExists(legacy), true, command);
+  }
+
+  const monitor = createMonitor("baseline");
+  const key = monitor.resultKey(URL, "mobile");
+  await main([
+    "run",
+    "--config",
+    config,
+    "--replay",
+    path.join(RECORDINGS, "baseline"),
+  ]);
+  assert.equal(await fs.pathExists(legacy), false);
+  assert.equal(
+    await fs.pathExists(path.join(dir, "baseline", `${key}.json`)),
+    true
+  );
+  assert.deepEqual(await fs.readJson(path.join(dir, "manifest.json")), {
+    [key]: URL,
+  });
+  process.exitCode = undefined;
+});
+
+test("publishes the archived Lighthouse reports next to the reports", async () => {
+  const runner = new ReplayRunner(path.join(RECORDINGS, "baseline"));
+  const monitor = new PageSpeedMonitor({
+    outputDir: dir,
+    urlsFile: path.join(dir, "urls.json"),
+    budgetsFile: path.join(dir, "budgets.json"),
+    reporters: ["html"],
+    notify: false,
+    archive: { enabled: true },
+    createRunner: () => runner,
+  });
+  await monitor.measure();
+
+  const key = monitor.resultKey(URL, "mobile");
+  const html = await readReport(`${key}.html`);
+  const links = [...html.matchAll(/href="(runs\/[^"]+\.html)"/g)].map(
+    ([, link]) => link
+  );
+  assert.equal(links.length, 3);
+  for (const link of links) {
+    assert.equal(
+      await fs.pathExists(path.join(dir, "reports", link)),
+      true,
+      link
+    );
+  }
+});
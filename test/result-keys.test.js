@@ -0,0 +1,167 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  urlKey,
+  legacyUrlKey,
+  KeyManifest,
+  migrateLegacyKeys,
+} = require("../scripts/lib/result-keys");
+
+const PRICING = "https://redis.io/pricing/";
+// These two shared "redis-io-x-y" before keys had a hash
+const DASHED = "https://redis.io/x-y";
+const NESTED = "https://redis.io/x/y";
+
+let dir;
+
+beforeEach(async () => {
+  mock.method(console, "warn", () => {});
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-keys-"));
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await fs.remove(dir);
+});
+
+// Every file below the output directory, relative to it
+async function listFiles(root = dir) {
+  const files = [];
+  for (const name of await fs.readdir(root)) {
+    const file = path.join(root, name);
+    if ((await fs.stat(file)).isDirectory()) {
+      files.push(...(await listFiles(file)));
+    } else {
+      files.push(path.relative(dir, file));
+    }
+  }
+  return files.sort();
+}
+
+test("keys keep apart URLs whose slugs are equal", () => {
+  assert.equal(urlKey(PRICING), "redis-io-pricing--afab360f");
+  assert.equal(legacyUrlKey(PRICING), "redis-io-pricing-");
+  assert.equal(legacyUrlKey(DASHED), legacyUrlKey(NESTED));
+  assert.notEqual(urlKey(DASHED), urlKey(NESTED));
+});
+
+test("migrates results stored under legacy keys, once", async () => {
+  // Stored results as they were before keys had a hash
+  const legacy = {
+    "baseline/redis-io-pricing-.mobile.json": "baseline",
+    "baseline/archive/redis-io-pricing-.mobile/2026-01-01T08-00-00.000Z.json":
+      "archived",
+    "latest/redis-io-pricing-.mobile.json": "latest",
+    "latest/redis-io-pricing-.desktop.json": "latest desktop",
+    "history/redis-io-pricing-.mobile.jsonl": "history",
+    "reports/redis-io-pricing-.mobile.html": "report",
+    "docs/redis-io-pricing-.mobile.html": "published report",
+    "runs/redis-io-pricing-.mobile/2026-01-01T08-00-00.000Z-run1.html.gz":
+      "run",
+    "latest/redis-io-x-y.mobile.json": "mixed up",
+    "latest/unknown-example-com-.mobile.json": "not in urls.json",
+  };
+  for (const [file, content] of Object.entries(legacy)) {
+    await fs.outputFile(path.join(dir, file), content);
+  }
+
+  const urls = [PRICING, DASHED, NESTED];
+  const { renamed, keys } = await migrateLegacyKeys(dir, urls);
+  assert.equal(renamed, 8);
+  assert.deepEqual(keys, {
+    "redis-io-pricing--afab360f.mobile": PRICING,
+    "redis-io-pricing--afab360f.desktop": PRICING,
+  });
+
+  const migrated = await listFiles();
+  assert.deepEqual(migrated, [
+    "baseline/archive/redis-io-pricing--afab360f.mobile/2026-01-01T08-00-00.000Z.json",
+    "baseline/redis-io-pricing--afab360f.mobile.json",
+    "docs/redis-io-pricing--afab360f.mobile.html",
+    "history/redis-io-pricing--afab360f.mobile.jsonl",
+    "latest/redis-io-pricing--afab360f.desktop.json",
+    "latest/redis-io-pricing--afab360f.mobile.json",
+    "latest/redis-io-x-y.mobile.json",
+    "latest/unknown-example-com-.mobile.json",
+    "reports/redis-io-pricing--afab360f.mobile.html",
+    "runs/redis-io-pricing--afab360f.mobile/2026-01-01T08-00-00.000Z-run1.html.gz",
+  ]);
+  assert.equal(
+    await fs.readFile(
+      path.join(dir, "latest/redis-io-pricing--afab360f.mobile.json"),
+      "utf8"
+    ),
+    "latest"
+  );
+  // The results of the two URLs that shared a key can't be told apart
+  assert.match(
+    console.warn.mock.calls[0].arguments[0],
+    /redis-io-x-y belong to several URLs/
+  );
+
+  // A second migration finds nothing left to do
+  assert.deepEqual(await migrateLegacyKeys(dir, urls), {
+    renamed: 0,
+    keys: {},
+  });
+  assert.deepEqual(await listFiles(), migrated);
+});
+
+test("never overwrites results already stored under the new key", async () => {
+  await fs.outputFile(
+    path.join(dir, "latest/redis-io-pricing-.mobile.json"),
+    "old"
+  );
+  await fs.outputFile(
+    path.join(dir, "latest/redis-io-pricing--afab360f.mobile.json"),
+    "new"
+  );
+  const { renamed } = await migrateLegacyKeys(dir, [PRICING]);
+  assert.equal(renamed, 0);
+  assert.equal(
+    await fs.readFile(
+      path.join(dir, "latest/redis-io-pricing--afab360f.mobile.json"),
+      "utf8"
+    ),
+    "new"
+  );
+});
+
+test("the manifest refuses a key that belongs to another URL", async () => {
+  const manifest = new KeyManifest(path.join(dir, "manifest.json"));
+  await manifest.register({ "redis-io-pricing--afab360f.mobile": PRICING });
+  await manifest.register({ "redis-io-pricing--afab360f.mobile": PRICING });
+  await assert.rejects(
+    manifest.register({ "redis-io-pricing--afab360f.mobile": DASHED }),
+    /is already used by https:\/\/redis\.io\/pricing\//
+  );
+  assert.deepEqual(await manifest.load(), {
+    "redis-io-pricing--afab360f.mobile": PRICING,
+  });
+});
+
+test("the committed results are stored under the current keys", async () => {
+  const root = path.join(__dirname, "..");
+  const manifest = await fs.readJson(path.join(root, "manifest.json"));
+  for (const [key, url] of Object.entries(manifest)) {
+    assert.equal(key, `${urlKey(url)}.${key.split(".").pop()}`);
+  }
+  for (const stored of ["baseline", "latest", "history", "reports", "docs"]) {
+    for (const name of await fs.readdir(path.join(root, stored))) {
+      if (["index.html", "archive", "runs"].includes(name)) continue;
+      const key = name.split(".").slice(0, 2).join(".");
+      assert.ok(manifest[key], `${stored}/${name} has no manifest entry`);
+    }
+  }
+  // Nothing left for a migration to do
+  const urls = await fs.readJson(path.join(root, "urls.json"));
+  const legacyKeys = new Set(
+    urls.map((entry) => legacyUrlKey(entry.url || entry))
+  );
+  for (const name of await fs.readdir(path.join(root, "latest"))) {
+    assert.equal(legacyKeys.has(name.split(".")[0]), false, name);
+  }
+});
@@ -0,0 +1,152 @@
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const jpeg = require("jpeg-js");
+const PageSpeedMonitor = require("../scripts/run");
+const { ReplayRunner } = require("../scripts/lib/replay-runner");
+const { pixelDifference } = require("../scripts/lib/screenshots");
+
+const FIXTURES = path.join(__dirname, "fixtures", "replay", "baseline");
+const URL = "https://example.com/";
+
+// A white page, with a black banner over the top fifth when `banner` is set
+function screenshot(width, height, banner = false) {
+  const data = Buffer.alloc(width * height * 4, 255);
+  if (banner) data.fill(0, 0, (width * height * 4) / 5);
+  const { data: jpg } = jpeg.encode({ data, width, height }, 80);
+  return `data:image/jpeg;base64,${jpg.toString("base64")}`;
+}
+
+let dir;
+
+beforeEach(async () => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  mock.method(console, "error", () => {});
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-screenshots-"));
+  await fs.writeJson(path.join(dir, "urls.json"), [
+    { url: URL, profiles: ["mobile"], runs: 3 },
+  ]);
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await fs.remove(dir);
+});
+
+// The baseline fixtures with screenshots added
+async function record(name, banner) {
+  const recordings = path.join(dir, "recordings", name);
+  await fs.ensureDir(recordings);
+  for (const file of await fs.readdir(FIXTURES)) {
+    const lhr = await fs.readJson(path.join(FIXTURES, file));
+    lhr.audits["final-screenshot"] = {
+      details: {
+        type: "screenshot",
+        timing: 2400,
+        data: screenshot(40, 80, banner),
+      },
+    };
+    lhr.audits["screenshot-thumbnails"] = {
+      details: {
+        type: "filmstrip",
+        items: [600, 1200].map((timing) => ({
+          timing,
+          data: screenshot(10, 20, banner && timing > 1000),
+        })),
+      },
+    };
+    await fs.writeJson(path.join(recordings, file), lhr);
+  }
+  return recordings;
+}
+
+function createMonitor(recordings, options = {}) {
+  const runner = new ReplayRunner(recordings);
+  return new PageSpeedMonitor({
+    outputDir: dir,
+    urlsFile: path.join(dir, "urls.json"),
+    budgetsFile: path.join(dir, "budgets.json"),
+    reporters: ["html", "json"],
+    notify: false,
+    screenshots: { enabled: true },
+    createRunner: () => runner,
+    ...options,
+  });
+}
+
+test("compares the final screenshots pixel by pixel", () => {
+  assert.equal(pixelDifference(screenshot(40, 80), screenshot(40, 80)), 0);
+  assert.equal(
+    pixelDifference(screenshot(40, 80), screenshot(40, 80, true)),
+    20
+  );
+  // Compared at the smaller size rather than counted as all changed
+  assert.equal(pixelDifference(screenshot(40, 80), screenshot(20, 40)), 0);
+});
+
+test("keeps the representative run's screenshots without the run archive", async () => {
+  const monitor = createMonitor(await record("plain", false));
+  await monitor.measure({ baseline: true });
+
+  const baseline = await monitor.loadBaseline(URL, "mobile");
+  // Performance 90, 92 and 91: the median is the third run
+  assert.equal(baseline.screenshots.run, 3);
+  const key = monitor.resultKey(URL, "mobile");
+  const stored = await monitor.screenshotStore.load(key, baseline);
+  assert.equal(stored.filmstrip.length, 2);
+  assert.equal(await fs.pathExists(path.join(dir, "runs")), false);
+});
+
+test("flags a visual change once per report", async () => {
+  await createMonitor(await record("plain", false)).measure({
+    baseline: true,
+  });
+  const monitor = createMonitor(await record("banner", true));
+  await monitor.measure();
+
+  const { results } = await fs.readJson(
+    path.join(dir, "reports", "summary.json")
+  );
+  assert.deepEqual(results[0].visualChange, {
+    diff: 20,
+    threshold: 5,
+    changed: true,
+  });
+
+  // A flow report has a metrics table per step, but a single note
+  const key = monitor.resultKey(URL, "mobile");
+  const current = await monitor.loadResult(monitor.latestDir, URL, "mobile");
+  const base = await monitor.loadBaseline(URL, "mobile");
+  const steps = (result) =>
+    ["Home", "Search"].map((name) => ({
+      ...result,
+      name,
+      mode: "navigation",
+    }));
+  const flowCurrent = { ...current, steps: steps(current) };
+  const flowBaseline = { ...base, steps: steps(base) };
+  const html = monitor.generateHtmlReport(
+    flowCurrent,
+    flowBaseline,
+    monitor.calculateDelta(flowCurrent, flowBaseline),
+    [],
+    [],
+    { screenshots: await monitor.loadScreenshots(key, current, base) }
+  );
+  assert.equal(html.match(/Visual change:/g).length, 1);
+  assert.match(html, /20% of the final screenshot differs from the baseline/);
+});
+
+test("captures nothing unless enabled", async () => {
+  const monitor = createMonitor(await record("plain", false), {
+    screenshots: undefined,
+  });
+  await monitor.measure({ baseline: true });
+
+  const baseline = await monitor.loadBaseline(URL, "mobile");
+  assert.equal(baseline.screenshots, undefined);
+  assert.equal(await fs.pathExists(path.join(dir, "screenshots")), false);
+});
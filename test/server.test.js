@@ -0,0 +1,145 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { DashboardServer } = require("../scripts/lib/server");
+
+const URL = "https://example.com/";
+
+// A monitor that measures nothing, so queued runs finish at once
+const createMonitor = () => ({
+  loadUrls: async () => [{ url: URL, tags: [] }],
+  selectTargets: async () => [],
+  profilesFor: () => ["mobile"],
+  resultKey: (url, profile) => `example-com--0000.${profile}`,
+  measure: async () => 0,
+});
+
+let dir;
+let dashboard;
+let origin;
+
+before(async () => {
+  mock.method(console, "log", () => {});
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "pagespeed-server-"));
+  await fs.writeFile(path.join(dir, "index.html"), "<h1>Dashboard</h1>");
+  dashboard = new DashboardServer({
+    createMonitor,
+    createIndex: () => ({ generateIndex: async () => {} }),
+    docsDir: dir,
+    port: 0,
+  });
+  await dashboard.start();
+  origin = `http://127.0.0.1:${dashboard.server.address().port}`;
+});
+
+after(async () => {
+  await dashboard.stop();
+  await fs.remove(dir);
+  mock.restoreAll();
+});
+
+const postRun = (headers, body = JSON.stringify({ url: URL })) =>
+  fetch(`${origin}/api/runs`, { method: "POST", headers, body });
+
+test("queues a run posted as JSON from the server's own origin", async () => {
+  const response = await postRun({
+    "Content-Type": "application/json",
+    Origin: origin,
+  });
+  assert.equal(response.status, 202);
+  const job = await response.json();
+  assert.deepEqual(job.request, { url: URL });
+});
+
+test("queues a run from a client that sends no Origin", async () => {
+  const response = await postRun({ "Content-Type": "application/json" });
+  assert.equal(response.status, 202);
+});
+
+test("rejects runs that aren't posted as JSON", async () => {
+  const before = dashboard.jobs.length;
+  const response = await postRun({ "Content-Type": "text/plain" });
+  assert.equal(response.status, 415);
+  assert.equal(dashboard.jobs.length, before);
+});
+
+test("rejects runs posted from another site", async () => {
+  const before = dashboard.jobs.length;
+  const response = await postRun({
+    "Content-Type": "application/json",
+    Origin: "https://attacker.example",
+  });
+  assert.equal(response.status, 403);
+  assert.equal(dashboard.jobs.length, before);
+});
+
+// fetch() won't send another Host, as a page after DNS rebinding does
+const request = (method, pathname, headers = {}, body = "") =>
+  new Promise((resolve, reject) => {
+    const req = http.request(
+      `${origin}${pathname}`,
+      { method, headers },
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => resolve({ res, body: data }));
+      }
+    );
+    req.on("error", reject);
+    req.end(body);
+  });
+
+test("rejects runs through a host name the server wasn't given", async () => {
+  const before = dashboard.jobs.length;
+  const port = dashboard.server.address().port;
+  const { res } = await request(
+    "POST",
+    "/api/runs",
+    {
+      "Content-Type": "application/json",
+      Host: `rebind.attacker.example:${port}`,
+      Origin: `http://rebind.attacker.example:${port}`,
+    },
+    JSON.stringify({ url: URL })
+  );
+  assert.equal(res.statusCode, 403);
+  assert.equal(dashboard.jobs.length, before);
+
+  const local = await request(
+    "POST",
+    "/api/runs",
+    {
+      "Content-Type": "application/json",
+      Host: `localhost:${port}`,
+      Origin: `http://localhost:${port}`,
+    },
+    JSON.stringify({ url: URL })
+  );
+  assert.equal(local.res.statusCode, 202);
+});
+
+test("answers HEAD without a body", async () => {
+  const { res, body } = await request("HEAD", "/");
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["content-length"], "18");
+  assert.equal(body, "");
+
+  const missing = await request("HEAD", "/missing.html");
+  assert.equal(missing.res.statusCode, 404);
+  assert.equal(missing.body, "");
+});
+
+test("answers a malformed path with 400", async () => {
+  const response = await fetch(`${origin}/%E0%A4%A`);
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: "Malformed URL" });
+});
+
+test("serves the dashboard", async () => {
+  const response = await fetch(`${origin}/`);
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), "<h1>Dashboard</h1>");
+});
@@ -0,0 +1,89 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findOutliers,
+  summarize,
+  getAggregator,
+} = require("../scripts/lib/stats");
+const { calculateDelta, categorySpread } = require("../scripts/lib/delta");
+
+test("finds one clear outlier among the runs", () => {
+  assert.deepEqual(findOutliers([90, 91, 89, 92, 60]), [4]);
+  assert.deepEqual(findOutliers([60, 90, 91]), [0]);
+  assert.deepEqual(findOutliers([88, 90, 91, 93, 86]), []);
+});
+
+test("identical runs don't make a 1-point wobble an outlier", () => {
+  // The MAD is 0 here and floored at one point
+  assert.deepEqual(findOutliers([90, 90, 90]), []);
+  assert.deepEqual(findOutliers([90, 90, 90, 91, 90]), []);
+  assert.deepEqual(findOutliers([90, 90, 90, 80, 90]), [3]);
+});
+
+test("fewer than three runs have no outliers", () => {
+  assert.deepEqual(findOutliers([90]), []);
+  assert.deepEqual(findOutliers([90, 20]), []);
+});
+
+test("summarizes a single run without spread", () => {
+  assert.deepEqual(summarize([72]), {
+    min: 72,
+    max: 72,
+    mean: 72,
+    median: 72,
+    stddev: 0,
+  });
+  assert.deepEqual(summarize([90, 92, 91]), {
+    min: 90,
+    max: 92,
+    mean: 91,
+    median: 91,
+    stddev: 1,
+  });
+});
+
+test("aggregates with the median, mean or trimmed mean", () => {
+  const runs = [60, 88, 90, 91, 99];
+  assert.equal(getAggregator("median")(runs), 90);
+  assert.equal(getAggregator("mean")(runs), 85.6);
+  assert.equal(getAggregator("trimmed")(runs), 89.66666666666667);
+  assert.throws(() => getAggregator("max"), /Unknown aggregation "max"/);
+});
+
+const result = (performance, stddev) => ({
+  performance,
+  accessibility: null,
+  bestPractices: null,
+  seo: null,
+  stats: { performance: { stddev } },
+});
+
+test("a change counts once it exceeds the combined spread of both sides", () => {
+  // hypot(3, 4) = 5
+  const within = calculateDelta(result(85, 3), result(90, 4));
+  assert.equal(within.performance, -5);
+  assert.equal(within.noise.performance, 5);
+  assert.equal(within.significant.performance, false);
+
+  const beyond = calculateDelta(result(84, 3), result(90, 4));
+  assert.equal(beyond.significant.performance, true);
+
+  // Single runs have no spread, so any change counts
+  const single = calculateDelta(result(89, 0), result(90, 0));
+  assert.equal(single.noise.performance, 0);
+  assert.equal(single.significant.performance, true);
+
+  assert.equal(calculateDelta(result(89, 0), null), null);
+});
+
+test("older results without stats fall back to their raw runs", () => {
+  const rawResults = [90, 92, 60, 94].map((performance, index) => ({
+    performance,
+    outlier: 2 === index,
+  }));
+  assert.equal(categorySpread({ rawResults }, "performance"), 2);
+  assert.equal(
+    categorySpread({ rawResults: [{ performance: 90 }] }, "performance"),
+    0
+  );
+});